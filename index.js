@@ -1,14 +1,19 @@
 "use strict"
 
 const fs = require('fs')
+const {basename, dirname, resolve} = require('path')
+const EventEmitter = require('events')
+const crypto = require('crypto')
 
 
 // MAIN >>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>
 
-class Comfig {
+class Comfig extends EventEmitter {
 
 	constructor(filePath, opts={}) {
 
+		super()
+
 		this.file = filePath
 
 		this.opts = Object.assign({
@@ -16,8 +21,34 @@ class Comfig {
 			assign: ': ',	// assign operator
 			indent: '\t',	// indentation char
 			fileMustExist: false,  // throw an error if file does not exist
+			schema: null,	// rules to validate values against, see ComfigSchema
+			env: null,		// environment overrides {prefix, separator?}
+			argv: null,		// command line overrides, true or {args?, create?}
+			include: false,	// @include directives, true for read-only, 'write' to save included files too
+			interpolate: false,	// resolve ${dot.key} and ${env:NAME} references in values
+			live: false,	// object form reads from and writes to the instance directly
+			backup: 0,		// number of backup copies to keep when saving, file.config.1..N
+			conflict: 'error',	// file changed on disk since loaded: 'error', 'merge' or 'overwrite'
+			lock: false,	// advisory lock file while saving, for multiple processes writing the same file
+			aliases: null,	// deprecated key names, {oldKey: 'new.dot.key'}
+			warn: null,		// function(message, {alias, key}) called when alias is used, process warning otherwise
+			history: 0,		// number of changes to keep for undo
+			sectionNames: false,	// read and write @section name directives
+			strict: false,	// throw ComfigParseError on malformed text, otherwise collect .diagnostics
+			preserveFormat: false,	// write unchanged lines back as they were read
+			eol: null,		// line ending to write, '\n', '\r\n' or '\r', null for the one the file uses
+			bom: null,		// write byte order mark, null to keep it when the file has one
+			encoding: 'utf8',	// encoding of files read and written
 		}, opts)
 
+		this.schema = this.opts.schema ? new ComfigSchema(this.opts.schema) : null
+
+		// values layered on top of the tree, by source, never saved
+		this.overrides = {}
+
+		// last section handle given out, never reused
+		this.handles = 0
+
 		// reset state
 		this.clear()
 
@@ -27,932 +58,4731 @@ class Comfig {
 		if(!/^[ \t]+$$/.test(this.opts.indent))
 			throw new Error('Comfig: invalid .indent opt, use tabs or spaces')
 
+		if(!['error', 'merge', 'overwrite'].includes(this.opts.conflict))
+			throw new Error('Comfig: invalid .conflict opt, use `error`, `merge` or `overwrite`')
+
+		if(this.opts.aliases && Object.values(this.opts.aliases).some(key => typeof key != 'string'))
+			throw new Error('Comfig: invalid .aliases opt, use {oldKey: \'new.dot.key\'}')
+
+		if(!Number.isInteger(this.opts.history) || this.opts.history < 0)
+			throw new Error('Comfig: invalid .history opt, use number of changes to keep')
+
+		if(!Number.isInteger(this.opts.backup) || this.opts.backup < 0)
+			throw new Error('Comfig: invalid .backup opt, use number of copies to keep')
+
+		if(![null, '\n', '\r\n', '\r'].includes(this.opts.eol))
+			throw new Error('Comfig: invalid .eol opt, use `\\n`, `\\r\\n` or `\\r`')
+
+		if(!Buffer.isEncoding(this.opts.encoding))
+			throw new Error('Comfig: invalid .encoding opt, use encoding supported by Buffer')
+
+		if(this.opts.env && !this.opts.env.prefix)
+			throw new Error('Comfig: invalid .env opt, prefix is required')
+
 		if(filePath)
 			this.loadSync()
+
+		if(this.opts.env)
+			this.applyEnv()
+
+		if(this.opts.argv){
+			const {args=process.argv, create} = this.opts.argv === true ? {} : this.opts.argv
+			const applied = this.applyArgs(args, {create})
+			if(applied.error)
+				throw new Error(`Comfig: ${applied.error}`)
+		}
 	}
 
 	// IO
 
 	loadSync(filePath) {
 		/** Load and parse comfig file
-			  @return   (bool) true on success, false if file does not exist
+			  @return   (bool|obj) true on success, false if file does not exist,
+			            error object if import was vetoed
 			  @throws   when .fileMustExist flag is on, and the file is missing,
 			            or another IO error occured
 		**/
 
+		let text;
+
 		try {
-			const text = fs.readFileSync(filePath || this.file, 'utf8')
-			this.import(text)
-			return true
+			text = fs.readFileSync(filePath || this.file, this.opts.encoding)
 		} catch (err) {
 			// throw if file is missing in strict mode, or there is another problem
 			if((err.code == 'ENOENT' && this.opts.fileMustExist) || err.code != 'ENOENT')
 				throw err
 			return false
 		}
+
+		// included files must exist, throws
+		const vetoed = this.import(text, filePath || this.file)
+		if(vetoed)
+			return vetoed
+
+		this._loaded(filePath || this.file, text)
+		return true
 	}
 
 	async save(filePath) {
-		/** Serialize and save comfig file, asynchronously **/
+		/** Serialize and save comfig file, asynchronously.
+			Included files are saved too, in 'write' include mode.
+			See ._writeSync on how the file is written, and ._save__check for conflicts.
+			  @return   (undefined|obj) error object on conflict, or when the file is locked
+		**/
+
+		const target = filePath || this.file
+
+		const locked = this._lockSync(target)
+		if(locked)
+			return locked
+
+		try {
+			const conflict = this._save__check(target)
+			if(conflict)
+				return conflict
 
-		const text = this.serialize()
-		await fs.promises.writeFile(filePath || this.file, text, 'utf8')
+			const text = this.serialize()
+			await this._write(target, text)
+
+			// copies saved elsewhere don't become the base of the instance's own file
+			if(this._ownFile(target))
+				this._loaded(target, text)
+
+			for(const file of this._includedFiles())
+				await this._write(file, this._serialize(file))
+		} finally {
+			this._unlockSync(target)
+		}
 	}
 
 	saveSync(filePath) {
-		/** Serialize and save comfig file, synchronously **/
+		/** Serialize and save comfig file, synchronously.
+			Included files are saved too, in 'write' include mode.
+			See ._writeSync on how the file is written, and ._save__check for conflicts.
+			  @return   (undefined|obj) error object on conflict, or when the file is locked
+		**/
 
-		const text = this.serialize()
-		fs.writeFileSync(filePath || this.file, text, 'utf8')
-	}
+		const target = filePath || this.file
 
-	clear() {
-		/** Reset state **/
-		this.tree = []
-		this.index = {}
-	}
+		const locked = this._lockSync(target)
+		if(locked)
+			return locked
+
+		try {
+			const conflict = this._save__check(target)
+			if(conflict)
+				return conflict
+
+			const text = this.serialize()
+			this._writeSync(target, text)
 
-	import(comfigText) {
-		/** Replace current state with state from parsed text **/
-		const parser = new ComfigParser(comfigText)
-		this.tree = parser.tree
-		this.index = parser.index
+			// copies saved elsewhere don't become the base of the instance's own file
+			if(this._ownFile(target))
+				this._loaded(target, text)
+
+			for(const file of this._includedFiles())
+				this._writeSync(file, this._serialize(file))
+		} finally {
+			this._unlockSync(target)
+		}
 	}
 
-	serialize() {
-		/** Serialize current state.
-			Will throw if structure is invalid.
-		**/
+	_loaded(filePath, text) {
+		/** Remember what the file looked like, to detect changes made by others, see ._save__check **/
 
-		const serial = new ComfigSerializer(this.tree, this.opts)
-		return serial.text
+		this.loaded = {
+			file: resolve(filePath),
+			mtime: fs.statSync(filePath).mtimeMs,
+			hash: this._hash(text),
+			text,
+		}
 	}
 
-	useFile(filePath) {
-		/** Use new file **/
-		this.file = filePath
+	_ownFile(filePath) {
+		return !!this.file && resolve(filePath) == resolve(this.file)
 	}
 
-	// Object form
+	_hash(text) {
+		return crypto.createHash('sha1').update(text).digest('hex')
+	}
 
-	$() {
-		/** Get config object.
-			Alias to mirror switch method with the object form.
+	_save__check(filePath) {
+		/** Check if the file changed on disk since it was loaded or saved.
+			Depending on .conflict opt, refuse to save, merge the changes, or ignore them.
+			Merge takes changes made on disk, unless changed here too, see Comfig.merge
+			  @return   (undefined|obj) error object with list of conflicting keys
 		**/
 
-		return this.object()
-	}
+		const loaded = this.loaded
 
-	object() {
-		/** Get config as a plain object, armed with save methods **/
+		if(!loaded || loaded.file != resolve(filePath) || this.opts.conflict == 'overwrite')
+			return
 
-		const instance = this
+		let text;
 
-		const conf = {
-			$: function(){
-				instance.sync(this, {mirror:true})
-				return instance
-			},
-			$save: async function(filePath) {
-				instance.sync(this, {mirror:true})
-				await instance.save(filePath)
-			},
-			$saveSync: function(filePath) {
-				instance.sync(this, {mirror:true})
-				instance.saveSync(filePath)
-			},
-			$sync: function() {
-				instance.sync(this, {mirror:true})
-			},
+		try {
+			if(fs.statSync(filePath).mtimeMs == loaded.mtime)
+				return
+			text = fs.readFileSync(filePath, this.opts.encoding)
+		} catch (err) {
+			// removed file is simply written again
+			if(err.code == 'ENOENT')
+				return
+			throw err
 		}
 
-		// extract data keys
-		const obj = {}
-		for(const entry of this.tree)
-			Object.assign(obj, entry.data)
+		if(this._hash(text) == loaded.hash)
+			return
 
-		return Object.assign(conf, obj)
-	}
+		const base = this._parsed(loaded.text)
+		const theirs = this._parsed(text)
 
-	// Getters & Setters
+		if(this.opts.conflict == 'error'){
+			// everything changed on disk
+			const diff = Comfig.diff(base, theirs)
+			return this._save__conflict([...diff.added, ...diff.removed, ...diff.changed])
+		}
 
-	get(dotKey, dflt){
-		/** Get option value
-			  :dotKey   (str) dotkey access path
-			  :dflt     (any) default value
-			  @return   default or undefined
-		**/
+		const {comfig, conflicts} = Comfig.merge(base, this, theirs)
 
-		const [key, subkey] = dotKey.split('.')
+		if(conflicts.length)
+			return this._save__conflict(conflicts)
 
-		const idx = this.index[key]
+		const before = this._flatten()
 
-		if(idx === undefined)
-			// key not set
-			return dflt
-		else if(subkey)
-			// obejct or array item
-			return this.tree[idx].data[key][subkey] !== undefined
-					? this.tree[idx].data[key][subkey]
-					: dflt
-		else
-			// direct value
-			return this.tree[idx].data[key]
+		this.tree = comfig.tree
+		this.handles = comfig.handles
+		this._rebuildIndex()
+
+		// disk version is the new base
+		this._loaded(filePath, text)
+		this._changes(before, this._flatten())
 	}
 
-	getKeys() {
-		/** Get an array of all top level keys in use **/
+	_save__conflict(items) {
+		/** Error object listing keys of conflicting items, comments are listed by their key, or section id **/
 
-		let keys = []
-		for(const entry of this.tree)
-			keys = keys.concat(Object.keys(entry.data))
+		const keys = items.map(item => item.comment ? `${item.key || 'section ' + item.section} comment` : item.key)
 
-		return keys
+		return {
+			error: `file changed on disk since loaded${keys.length ? ', conflicting keys: ' + keys.join(', ') : ''}`,
+			conflicts: keys,
+		}
 	}
 
-	getRelated(key) {
-		/** Get all keys belonging to the same section, as an object
-			  @return    (obj) data or error
-		**/
-
-		const idx = this.index[key]
-
-		if(idx === undefined)
-			return {error: 'config option does not exist'}
+	_parsed(text) {
+		/** Get instance with the text parsed using own options, includes are left unresolved **/
 
-		return this.tree[idx].data
+		const comfig = new Comfig(null, {comment: this.opts.comment, include: this.opts.include})
+		comfig.tree = new ComfigParser(text, this.opts).tree
+		comfig._rebuildIndex()
+		return comfig
 	}
 
-	set(dotKey, value, opts={}) {
-		/** Set value for existing key, or create a new one.
-			Newly created items will be appended at the end within own section.
-			  :dotKey     (str) key access path
-			  :value      (any) value to set
-			  :opts
-			   .create?   (bool) allow new key creation, will error otherwise {false}
-			   .comment?  (str) section comment, if creating new top level key (optional)
-			  @return     (int|obj) section id or error object
+	_lockSync(filePath) {
+		/** Take advisory lock for saving, see .lock opt.
+			Lock file holds process id, lock of a process that no longer runs is taken over.
+			  @return   (undefined|obj) error object, if locked by another process
 		**/
 
-		const [key, subkey] = dotKey.split('.')
-
-		const idx = this.index[key]
-
-		// insert for new options
-		if(idx === undefined){
+		if(!this.opts.lock)
+			return
 
-			// creation of new keys must be explictly allowed
-			if(!opts.create)
-				return {error: 'config option does not exist'}
+		const lock = `${filePath}.lock`
 
-			let data;
-			if(subkey) {
-				const invalidSubkey = this._validateSubkeyValue(value)
-				if(invalidSubkey)
-					return invalidSubkey
-				data = { [key]: {[subkey]: value} }
-				value = data[key]
-			} else {
-				data = { [key]: value }
+		for(const attempt of [1, 2]){
+			try {
+				fs.writeFileSync(lock, String(process.pid), {flag: 'wx'})
+				return
+			} catch (err) {
+				if(err.code != 'EEXIST')
+					throw err
 			}
-			this.tree.push({comment: this._formatComment(opts.comment), data})
-			this.index[key] = this.tree.length - 1
-			return this.index[key]
-		}
 
-		// update existing option
-		if(subkey){
-			const invalidSubkey = this._validateSubkeyValue(value)
-			if(invalidSubkey)
-				return invalidSubkey
-			this.tree[idx].data[key][subkey] = value
-		} else {
-			this.tree[idx].data[key] = value
+			if(attempt == 2 || !this._lockSync__stale(lock))
+				return {error: 'file is locked by another process'}
+
+			this._unlink(lock)
 		}
-		return idx
 	}
 
-	delete(dotKey, removeComment) {
-		/** Remove option key.
-			Will remove empty section, unless it has a comment.
-			  :removeComment   (bool) remove empty, even with a comment
-		**/
+	_lockSync__stale(lock) {
+		/** Check if the process holding the lock is gone **/
 
-		const [key, subkey] = dotKey.split('.')
+		const pid = parseInt(fs.readFileSync(lock, 'utf8'))
 
-		const idx = this.index[key]
+		// might be just created, pid not written yet
+		if(!pid)
+			return false
 
-		if(idx === undefined)
+		try {
+			process.kill(pid, 0)
 			return false
+		} catch (err) {
+			return err.code == 'ESRCH'
+		}
+	}
 
-		if(subkey){
-			// delete sub item
+	_unlockSync(filePath) {
+		if(this.opts.lock)
+			this._unlink(`${filePath}.lock`)
+	}
+
+	_unlink(filePath) {
+		/** Remove file, if it's still there **/
+		try {
+			fs.unlinkSync(filePath)
+		} catch (err) {
+			if(err.code != 'ENOENT')
+				throw err
+		}
+	}
 
-			const item = this.tree[idx].data[key]
+	_writeSync(filePath, text) {
+		/** Write file atomically, so it's never left half-written.
+			Text goes to a temp file in the same directory, which is flushed to disk
+			and renamed over the target, keeping its mode. Backups are rotated first.
+			Symlinked file is written where the link points to.
+		**/
 
-			if(Array.isArray(item))
-				// array
-				item.splice(subkey, 1)
-			else if(typeof item == 'object' && item != null)
-				// object
-				delete item[subkey]
-			else
-				return {error: 'not an object/array'}
+		filePath = this._write__target(filePath)
+		const temp = this._write__temp(filePath)
+		const mode = this._write__mode(filePath)
 
-			return true
+		try {
+			// not readable by others while written, chmod undoes umask
+			const fd = fs.openSync(temp, 'w', mode)
+			try {
+				fs.writeSync(fd, text, null, this.opts.encoding)
+				fs.fsyncSync(fd)
+			} finally {
+				fs.closeSync(fd)
+			}
+
+			if(mode !== undefined)
+				fs.chmodSync(temp, mode)
+
+			this._write__backupSync(filePath)
+			fs.renameSync(temp, filePath)
+		} catch (err) {
+			try { fs.unlinkSync(temp) } catch {}
+			throw err
 		}
+	}
 
-		// delete top-level key
-		delete this.tree[idx].data[key]
-		delete this.index[key]
+	async _write(filePath, text) {
+		/** Write file atomically, async version of ._writeSync **/
 
-		// check if section qualifies for removal
-		if(Object.keys(this.tree[idx].data).length > 0)
-			// section has other keys
-			return true
-		else if(this.tree[idx].comment && !removeComment)
-			// section has only comment left, but we don't want to delete it
-			return true
+		filePath = this._write__target(filePath)
+		const temp = this._write__temp(filePath)
+		const mode = this._write__mode(filePath)
 
-		// purge section
-		this.tree.splice(idx, 1)
+		try {
+			const handle = await fs.promises.open(temp, 'w', mode)
+			try {
+				await handle.writeFile(text, this.opts.encoding)
+				await handle.sync()
+			} finally {
+				await handle.close()
+			}
 
-		// rebuild index
-		this._rebuildIndex()
+			if(mode !== undefined)
+				await fs.promises.chmod(temp, mode)
 
-		return true
+			await this._write__backup(filePath)
+			await fs.promises.rename(temp, filePath)
+		} catch (err) {
+			await fs.promises.unlink(temp).catch(() => {})
+			throw err
+		}
 	}
 
-	hasKey(dotKey) {
-		/** Check if key exists **/
-		return !!this.get(dotKey)
-	}
+	_write__target(filePath) {
+		/** Follow symlinks, so the link stays and the file it points to is replaced **/
 
-	getSectionId(key) {
-		/** Get id of the section to which the key belongs to **/
-		return this.index[key]
+		try {
+			return fs.realpathSync(filePath)
+		} catch (err) {
+			// new file
+			if(err.code != 'ENOENT')
+				throw err
+			return filePath
+		}
 	}
 
-	_validateSubkeyValue(value) {
-		/** Ensure that object values are a primitive **/
+	_write__temp(filePath) {
+		/** Unique temp file path, next to the target, so rename does not cross devices **/
 
-		if((typeof value == 'object' && value != null)
-		|| (Array.isArray(value))
-		|| (typeof value == 'string' && value.includes('\n')) )
-			return {error: 'invalid object value, deep objects, arrays and multiline strings are not allowed'}
+		const suffix = `${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+		return resolve(dirname(filePath), `.${basename(filePath)}.${suffix}.tmp`)
 	}
 
-	// Comments
-
-	setComment(entityId, comment, opts={}) {
-		/** Add or replace comment for section containing given key
-			  :idx     (int) section id
-			  :comment (str) comment body
-			  :opts
-			   .add?   (bool) add to existing comment, otherwise replace {false}
-			   .raw?   (bool) don't format, use as provided {false}
-		**/
+	_write__mode(filePath) {
+		/** Get file permissions, undefined for a new file **/
 
-		if(Number.isInteger(entityId))
-			return this.setSectionComment(entityId, comment, opts)
-		else if(typeof entityId == 'string')
-			return this.setKeyComment(entityId, comment, opts)
-		else
-			return {error: 'invalid entity id, must be key name or section id'}
+		try {
+			return fs.statSync(filePath).mode & 0o7777
+		} catch (err) {
+			if(err.code != 'ENOENT')
+				throw err
+		}
 	}
 
-	setKeyComment(key, comment, opts) {
+	_write__backupSync(filePath) {
+		/** Keep copies of the previous versions, file.config.1 being the latest **/
 
-		const idx = this.index[key]
+		const count = this.opts.backup
+		if(!count || !fs.existsSync(filePath))
+			return
 
-		if(idx === undefined)
-			return {error: 'config option does not exist'}
-		else
-			return this._setComment(idx, comment, opts)
+		for(let i = count - 1; i >= 1; i--){
+			if(fs.existsSync(`${filePath}.${i}`))
+				fs.renameSync(`${filePath}.${i}`, `${filePath}.${i + 1}`)
+		}
+
+		fs.copyFileSync(filePath, `${filePath}.1`)
 	}
 
-	setSectionComment(idx, comment, opts={}) {
+	async _write__backup(filePath) {
+		/** Keep copies of the previous versions, async version of ._write__backupSync **/
 
-		if(this.tree[idx] === undefined)
-			return {error: 'invalid section id'}
-		else
-			return this._setComment(idx, comment, opts)
-	}
+		const exists = file => fs.promises.access(file).then(() => true, () => false)
 
-	_setComment(idx, comment, opts={}){
-		/** Set comment, see .setComment for more info **/
+		const count = this.opts.backup
+		if(!count || !await exists(filePath))
+			return
 
-		if(opts.raw){
-			// comments must end with \n
-			if(!comment.endsWith('\n'))
-				comment += '\n'
-		} else {
-			comment = this._formatComment(comment)
+		for(let i = count - 1; i >= 1; i--){
+			if(await exists(`${filePath}.${i}`))
+				await fs.promises.rename(`${filePath}.${i}`, `${filePath}.${i + 1}`)
 		}
 
-		if(opts.add)
-			this.tree[idx].comment += comment
-		else
-			this.tree[idx].comment = comment
+		await fs.promises.copyFile(filePath, `${filePath}.1`)
 	}
 
-	_formatComment(comment) {
-		/** Prepend each comment line with configured comment chars
-			  :comment  (str|arr) comment to format
-			  @return   (str)
+	clear() {
+		/** Reset state, history included **/
+		this.tree = []
+		this.index = {}
+		this.lines = {}
+		this.located = {text: '', keys: {}, sections: {}}
+		this.diagnostics = []
+		this.styles = {}	// {eol, bom} of text read, by file, main one under ''
+		this.clearHistory()
+	}
+
+	import(comfigText, filePath) {
+		/** Replace current state with state from parsed text
+			  :filePath?  (str) file the text comes from, includes are relative to it
+			  @return     (undefined|obj) error object if vetoed
+			  @throws     when included file is missing, or includes form a cycle,
+			              ComfigParseError when text is malformed in strict mode
 		**/
+		return this._import(comfigText, filePath)
+	}
 
-		if(!comment)
-			return ''
+	_import(comfigText, filePath, strict=this.opts.strict) {
+		/** See .import
+			  :strict?  (bool) throw ComfigParseError on malformed text, included files too, strict option by default
+		**/
 
-		if(typeof comment == 'string'){
-			comment = comment.split('\n')
+		const parser = new ComfigParser(comfigText, Object.assign({}, this.opts, {file: filePath, strict}))
+		const diagnostics = parser.diagnostics
+		const styles = {'': {eol: parser.eol, bom: parser.bom}}
+		let tree = parser.tree
 
-		return comment
-				.map(line => `${this.opts.comment} ${line}`)
-				.join('\n') + '\n'
+		if(this.opts.include){
+			const base = resolve(filePath || this.file || 'comfig')
+			tree = this._resolveIncludes(tree, base, [base], diagnostics, styles)
 		}
-	}
 
-	getComment(entityId, raw) {
-		/** Get comment for an entity, key or section
-			Note: comments begin with symbols.
-		**/
+		if(strict && diagnostics.length)
+			throw new ComfigParseError(diagnostics[0])
 
-		if(Number.isInteger(entityId))
-			return this.getSectionComment(entityId, raw)
-		else if(typeof entityId == 'string')
-			return this.getKeyComment(entityId, raw)
-		else
-			return {error: 'invalid entity id, must be key name or section id'}
-	}
+		// loading into a blank instance is not a step to undo
+		const initial = !this.tree.length && !this.undos.length
 
-	getKeyComment(key, raw) {
+		const event = {file: filePath, old: this._data(), value: this._data(tree)}
+		const vetoed = this._veto('import', event)
+		if(vetoed)
+			return vetoed
 
-		const idx = this.index[key]
+		this.tree = this._adopt(tree)
+		this.lines = parser.lines
+		this.diagnostics = diagnostics
+		this.styles = styles
+		this._rebuildIndex()
 
-		if(idx === undefined)
-			return {error: 'config option does not exist'}
+		// positions as loaded, until anything changes
+		this.located = this._locate(parser, parser.tree, this._location__text())
 
-		const comment = this.tree[idx].comment
-		return raw ? comment : this._getComment__strip(comment)
-	}
+		this._aliases__normalize()
 
-	getSectionComment(idx, raw) {
+		if(initial && !this.group)
+			this.clearHistory()
 
-		const section = this.tree[idx]
+		this._mutated('import', event)
+	}
 
-		return section
-			? (raw ? section.comment : this._getComment__strip(section.comment))
-			: {error: 'invalid section id'}
+	serialize() {
+		/** Serialize current state, without sections from included files.
+			Will throw if structure is invalid.
+		**/
+
+		return this._serialize()
 	}
 
-	_getComment__strip(str) {
-		/** Strip comment symbols and return array of clean text lines **/
+	_serialize(source) {
+		/** Serialize sections coming from given file, main file if omitted,
+			with line endings and byte order mark it was read with, unless set by options
+		**/
 
-		const clean = []
-		const lines = str.split('\n')
-		const regex = /^[^\p{L}\p{N}]+\s*(.+)/u
+		const sections = this.tree.filter(section => section.source === source)
+		const style = this.styles[source || ''] || {}
 
-		for(const line of lines){
-			const res = regex.exec(line)
-			if(res)
-				clean.push(res[1])
+		const serial = new ComfigSerializer(sections, Object.assign({}, this.opts, {
+			eol: this.opts.eol || style.eol || '\n',
+			bom: this.opts.bom === null ? !!style.bom : this.opts.bom,
+		}))
+
+		return serial.text
+	}
+
+	// Locations
+
+	getLocation(dotKey) {
+		/** Lines of key, object key or array element, as loaded, or as it would be saved after changes
+			  @return   (obj|undefined) {start, end, comment?: {start, end}}, 1-based and inclusive,
+			            undefined for missing keys and keys from included files
+		**/
+
+		const location = this._location().keys[this._alias(dotKey, true)]
+		return location && this._clone(location)
+	}
+
+	getSectionLocation(idx) {
+		/** Lines of section, same as .getLocation
+			  :idx      (int|str) section id, handle or name
+			  @return   (obj|undefined) {start, end, comment?: {start, end}}
+		**/
+
+		const section = this.tree[this._section(idx)]
+		const location = section && this._location().sections[section.handle]
+		return location && this._clone(location)
+	}
+
+	_location() {
+		/** Positions matching the text, parsed again when serialized text changed since **/
+
+		const text = this._location__text()
+
+		if(text !== null && text !== this.located.text){
+			const parser = new ComfigParser(text, Object.assign({}, this.opts, {strict: false, include: true}))
+
+			// sections that get written, in the same order
+			const sections = this.tree.filter(section => !section.source && (section.include || section.comment
+				|| (section.name && this.opts.sectionNames) || Object.keys(section.data).length || section.comments.$end))
+
+			this.located = this._locate(parser, sections, text)
 		}
 
-		return clean
+		return this.located
 	}
 
-	deleteComment(entityId) {
-		/** Delete entity comment, key or section **/
-		return this.setComment(entityId, null)
+	_location__text() {
+		/** Serialized text, null when the state cannot be saved **/
+		try {
+			return this.serialize()
+		} catch (err) {
+			return null
+		}
 	}
 
-	convertCommentSymbol(fromChars, toChar){
-		/** Convert comment symbol from one to another.
-			Only converts first character of the line.
-			  :fromChars   (str|arr) symbols to replace
-			  :toChar?     (str) symbol to convert to, defaults to current config
+	_locate(parser, sections, text) {
+		/** Collect positions of parsed text
+			  :sections   (arr) instance sections, in order of parsed ones
+			  :text       (str|null) serialized state positions belong to
 		**/
 
-		if(!toChar)
-			toChar = this.opts.comment
+		const located = {text, keys: parser.locations, sections: {}}
 
-		for(const idx in this.tree){
-			const entry = this.tree[idx]
+		parser.tree.forEach((parsed, idx) => {
+			if(sections[idx])
+				located.sections[sections[idx].handle] = parser.sectionLocations.get(parsed)
+		})
 
-			if(!entry.comment)
-				continue;
+		return located
+	}
 
-			const lines = entry.comment.split('\n')
+	// Includes
+
+	_resolveIncludes(tree, baseFile, chain, diagnostics=[], styles={}) {
+		/** Splice sections of included files after their @include directive, recursively.
+			Spliced sections remember their file in .source prop.
+			  :tree       (arr) sections, possibly with include directives
+			  :baseFile   (str) absolute path of the file the tree comes from
+			  :chain      (arr) files being included, to detect cycles
+			  :diagnostics?  (arr) collects problems found in included files
+			  :styles?       (obj) collects line ending and byte order mark of included files
+			  @return     (arr) new tree
+		**/
 
-			for(const i in lines){
-				for(const char of fromChars){
-					if(lines[i][0] == char){
-						// replace
-						lines[i] = toChar + lines[i].substr(1)
-					}
-				}
-			}
+		const resolved = []
+
+		for(const section of tree){
+
+			resolved.push(section)
+
+			if(!section.include)
+				continue
+
+			const file = resolve(dirname(baseFile), section.include)
+
+			if(chain.includes(file))
+				throw new Error(`Comfig: include cycle, ${chain.concat(file).join(' -> ')}`)
+
+			const parser = new ComfigParser(fs.readFileSync(file, this.opts.encoding), Object.assign({}, this.opts, {file}))
+			diagnostics.push(...parser.diagnostics)
+			styles[file] = {eol: parser.eol, bom: parser.bom}
 
-			this.tree[idx].comment = lines.join('\n')
+			for(const included of parser.tree)
+				included.source = file
+
+			resolved.push(...this._resolveIncludes(parser.tree, file, chain.concat(file), diagnostics, styles))
 		}
+
+		return resolved
 	}
 
-	// Sections
+	_includedFiles() {
+		/** Get included files to be saved, in write mode only **/
 
-	addSectionKey(idx, key, value) {
-		/** Add new key to existing section **/
+		if(this.opts.include != 'write')
+			return []
 
-		if(!this.tree[idx])
-			return {error: 'invalid section id'}
+		const files = []
+		for(const section of this.tree){
+			if(section.source && !files.includes(section.source))
+				files.push(section.source)
+		}
 
-		if(this.index[key])
-			return {error: 'key already exist'}
+		return files
+	}
 
-		this.tree[idx].data[key] = value
-		this.index[key] = idx
+	_readOnly(idx) {
+		/** Get error if section comes from read-only included file **/
+
+		if(this.tree[idx] && this.tree[idx].source && this.opts.include != 'write')
+			return {error: `read-only, included from ${this.tree[idx].source}`}
 	}
 
-	addSection(opts) {
-		/** Insert new section at arbitrary position.
+	useFile(filePath) {
+		/** Use new file **/
+		this.file = filePath
+	}
+
+	// Watch
+
+	watch(opts={}) {
+		/** Reload when the file changes, see .reload
 			  :opts
-			   .id?       (int) section id to insert at, will append if omitted
-			   .key?      (str) initial option name, must be unique
-			   .value?    (multi) option value
-			   .comment?  (str) section comment
-			  @return     (int|obj) section id or error object
+			   .debounce?    (int) ms to wait for more changes, editors save in bursts {100}
+			   .persistent?  (bool) keep the process running while watching {true}
+			  @return        (undefined|obj) error object, if there is no file
 		**/
 
-		if(!('id' in opts) && !('key' in opts) && !('value' in opts) && !('comment' in opts))
-			return {error: 'no params supplied'}
+		if(!this.file)
+			return {error: 'no file to watch'}
 
-		let data;
+		if(this.watcher)
+			return
 
-		if((opts.key || 'value' in opts) && (!opts.key || !('value' in opts))){
-			// this block runs when key or value are provided, but not both
-			return {error: 'when setting key, both key and value are required'}
-		} else if(opts.key) {
-			// key and value are provided
+		const {debounce=100, persistent=true} = opts
+		const name = basename(this.file)
 
-			if(this.index[opts.key] !== undefined)
-				return {error: 'key already exist'}
+		this.watcher = fs.watch(dirname(resolve(this.file)), {persistent}, (event, filename) => {
 
-			data = { [opts.key]: opts.value }
+			if(filename && filename != name)
+				return
+
+			clearTimeout(this.watchTimer)
+			this.watchTimer = setTimeout(() => this.reload(), debounce)
+		})
+	}
+
+	unwatch() {
+		/** Stop watching the file **/
+
+		if(!this.watcher)
+			return
+
+		clearTimeout(this.watchTimer)
+		this.watcher.close()
+		this.watcher = null
+	}
+
+	reload() {
+		/** Load the file again, keeping current state if it fails or the text is malformed,
+			ie caught while the file is being written.
+			Emits 'change' with lists of added, removed and modified dotKeys,
+			or 'error', if there is a listener.
+			  @return   (obj|undefined) changes, or error object
+		**/
+
+		const before = this._flatten()
+		const state = {tree: this.tree, index: this.index, lines: this.lines}
+
+		try {
+			const text = fs.readFileSync(this.file, this.opts.encoding)
+			const vetoed = this._import(text, this.file, true)
+			if(vetoed)
+				return vetoed
+			this._loaded(this.file, text)
+		} catch (err) {
+			// keep what we had
+			Object.assign(this, state)
+
+			if(this.listenerCount('error'))
+				this.emit('error', err)
+
+			return {error: err.message}
 		}
 
-		const section = {
-			comment: this._formatComment(opts.comment),
-			data: data || {}
+		return this._changes(before, this._flatten())
+	}
+
+	_changes(before, after) {
+		/** Compare flattened states, emit 'change' if anything changed, see ._flatten
+			  @return   (obj) lists of added, removed and modified dotKeys
+		**/
+
+		const changes = {
+			added: Object.keys(after).filter(dotKey => !(dotKey in before)),
+			removed: Object.keys(before).filter(dotKey => !(dotKey in after)),
+			modified: Object.keys(after).filter(dotKey => dotKey in before && !this._isEqual(before[dotKey], after[dotKey])),
 		}
 
-		if('id' in opts){
-			// insert somewhere in the middle
+		if(changes.added.length || changes.removed.length || changes.modified.length)
+			this.emit('change', changes)
 
-			if(!data && !opts.comment)
-				return {error: 'no data'}
+		return changes
+	}
 
-			if(!this.tree[opts.id])
-				return {error: 'invalid section id'}
+	_flatten(tree=this.tree, keepArrays) {
+		/** Get all values by their dotpath, objects and arrays are flattened to their items.
+			Empty objects and arrays are kept as they are.
+			  :tree?        (arr) sections to flatten
+			  :keepArrays?  (bool) don't flatten arrays
+			  @return       (obj) dotpath-value pairs
+		**/
 
-			this.tree.splice(opts.id, 0, section)
+		const flat = {}
 
-		} else {
-			// append
-			this.tree.push(section)
+		const walk = (value, dotKey) => {
+			if(this._isContainer(value) && Object.keys(value).length && !(keepArrays && Array.isArray(value))){
+				for(const key in value)
+					walk(value[key], `${dotKey}.${key}`)
+			} else {
+				flat[dotKey] = value
+			}
 		}
 
-		this._rebuildIndex()
+		for(const section of tree){
+			for(const key in section.data)
+				walk(section.data[key], key)
+		}
 
-		return 'id' in opts ? opts.id : this.tree.length - 1
+		return flat
 	}
 
-	moveSection(idxFrom, idxTo) {
-		/** Rearrange sections **/
+	// Events
 
-		if(!this.tree[idxFrom] || !this.tree[idxTo])
-			return {error: 'invalid section id'}
+	_veto(type, event) {
+		/** Ask listeners of the mutation before it happens, any of them can veto by returning false.
+			Muted while a mutation calls other mutating methods, ie .sync calling .set
+			  :type     (str) event name, same as the method
+			  :event    (obj) old and new values, section id
+			  @return   (undefined|obj) error object if vetoed
+		**/
 
-		const section = this.tree.splice(idxFrom, 1)
+		if(this.muted)
+			return
 
-		if(idxFrom < idxTo)
-			idxTo -= 1
+		for(const listener of this.rawListeners(type)){
+			if(listener.call(this, event) === false)
+				return {error: `${type} vetoed by listener`}
+		}
 
-		this.tree.splice(idxTo, 0, section[0])
+		// change is going to happen
+		this._record()
+	}
+
+	_mutated(type, event) {
+		/** Let everyone know the mutation went through **/
+
+		if(!this.muted)
+			this.emit('mutation', {type, ...event})
+	}
+
+	_muted(fn) {
+		/** Run fn without events, returns what fn returns **/
+
+		const muted = this.muted
+		this.muted = true
+
+		try {
+			return fn()
+		} finally {
+			this.muted = muted
+		}
+	}
+
+	// History
+
+	transaction(fn) {
+		/** Apply all changes made by fn, or none.
+			Rolls back when fn throws, or returns an error object.
+			Changes count as a single step for .undo
+			  :fn       (func) gets the instance, runs synchronously
+			  @return   what fn returns
+			  @throws   what fn throws, after rolling back
+		**/
+
+		const snapshot = this._snapshot()
+		const history = {undos: this.undos.slice(), redos: this.redos.slice(), recorded: this.group && this.group.recorded}
+
+		const rollback = () => {
+			this._restore(snapshot)
+			this.undos = history.undos
+			this.redos = history.redos
+			if(this.group)
+				this.group.recorded = history.recorded
+			this._mutated('rollback', {})
+		}
+
+		let result;
+
+		try {
+			result = this._group(() => fn(this))
+		} catch (err) {
+			rollback()
+			throw err
+		}
+
+		if(result && result.error)
+			rollback()
+
+		return result
+	}
+
+	undo() {
+		/** Revert last change, see .history opt
+			  @return   (bool) false if there is nothing to undo
+		**/
+
+		if(!this.undos.length)
+			return false
+
+		this.redos.push(this._snapshot())
+		this._restore(this.undos.pop())
+
+		this._mutated('undo', {})
+		return true
+	}
+
+	redo() {
+		/** Apply last reverted change again
+			  @return   (bool) false if there is nothing to redo
+		**/
+
+		if(!this.redos.length)
+			return false
+
+		this.undos.push(this._snapshot())
+		this._restore(this.redos.pop())
+
+		this._mutated('redo', {})
+		return true
+	}
+
+	clearHistory() {
+		this.undos = []
+		this.redos = []
+	}
+
+	_record() {
+		/** Keep state before a change, for .undo.
+			Within a group, only state before the first change is kept.
+		**/
+
+		if(!this.opts.history || this.muted)
+			return
+
+		if(this.group){
+			if(this.group.recorded)
+				return
+			this.group.recorded = true
+		}
+
+		this.undos.push(this._snapshot())
+		if(this.undos.length > this.opts.history)
+			this.undos.shift()
+
+		// new change, old future is gone
+		this.redos = []
+	}
+
+	_group(fn) {
+		/** Run fn with all changes as a single step, returns what fn returns **/
+
+		const outer = this.group
+		this.group = outer || {recorded: false}
+
+		try {
+			return fn()
+		} finally {
+			this.group = outer
+		}
+	}
+
+	_snapshot() {
+		return {tree: this._clone(this.tree), lines: this.lines}
+	}
 
+	_restore(snapshot) {
+		this.tree = snapshot.tree
+		this.lines = snapshot.lines
 		this._rebuildIndex()
 	}
 
-	reorderSection(idx, newOrder) {
-		/** Reorder section items to match provided array **/
+	_data(tree=this.tree) {
+		/** Get copy of all keys and values in the tree **/
 
-		if(!this.tree[idx])
-			return {error: 'invalid section id'}
+		const data = {}
+		for(const section of tree)
+			Object.assign(data, section.data)
 
-		const item = this.tree[idx].data
+		return this._clone(data)
+	}
+
+	// Object form
+
+	$() {
+		/** Get config object.
+			Alias to mirror switch method with the object form.
+		**/
+
+		return this.object()
+	}
+
+	object() {
+		/** Get config as a plain object, armed with save methods.
+			With .live opt, get a proxy to the instance state instead.
+		**/
+
+		if(this.opts.live)
+			return this._live([])
+
+		const instance = this
+
+		const conf = {
+			$: function(){
+				instance.sync(this, {mirror:true})
+				return instance
+			},
+			$save: async function(filePath) {
+				const invalid = instance.sync(this, {mirror:true})
+				if(invalid)
+					return invalid
+				return instance.save(filePath)
+			},
+			$saveSync: function(filePath) {
+				const invalid = instance.sync(this, {mirror:true})
+				if(invalid)
+					return invalid
+				return instance.saveSync(filePath)
+			},
+			$sync: function() {
+				return instance.sync(this, {mirror:true})
+			},
+			$on: function(event, listener) {
+				instance.on(event, listener)
+				return this
+			},
+			$off: function(event, listener) {
+				instance.off(event, listener)
+				return this
+			},
+		}
+
+		// extract data keys
+		const obj = {}
+		for(const entry of this.tree)
+			Object.assign(obj, entry.data)
+
+		// overridden values replace the originals, on a copy
+		for(const key of this._overriddenKeys())
+			obj[key] = this._applyOverrides(key)
+
+		// references resolved, on a copy
+		if(this.opts.interpolate){
+			for(const key in obj)
+				obj[key] = this._interpolate(obj[key], [key])
+		}
+
+		Object.assign(conf, obj)
+
+		// deprecated names lead to the new ones
+		for(const alias in this.opts.aliases || {})
+			this._object__alias(conf, alias)
+
+		return conf
+	}
+
+	_object__alias(conf, alias) {
+		/** Define hidden property for deprecated key name, reading and writing the new one **/
+
+		const path = alias.split('.')
+		const name = path.pop()
+		const parent = this._walk(conf, path)
+
+		if(!this._isContainer(parent) || name in parent)
+			return
+
+		const key = this.opts.aliases[alias]
+		const target = key.split('.')
+		const prop = target.pop()
+
+		Object.defineProperty(parent, name, {
+			get: () => {
+				this._alias__warn(alias, key)
+				return this._walk(conf, [...target, prop])
+			},
+			set: value => {
+				this._alias__warn(alias, key)
+
+				// create objects on the way
+				let container = conf
+				for(const segment of target){
+					if(!this._isContainer(container[segment]))
+						container[segment] = {}
+					container = container[segment]
+				}
+				container[prop] = value
+			},
+			configurable: true,
+		})
+	}
+
+	_live(path) {
+		/** Get proxy reading from and writing to the instance, see .live opt.
+			Nested objects and arrays are proxies too, following their path.
+			  :path     (arr) path segments of the proxied container, root if empty
+			  @throws   on invalid assignment, same as .set would return error
+		**/
+
+		const instance = this
+		const dotPath = prop => [...path, prop].join('.')
+
+		// current container, fresh on every access
+		const current = () => path.length ? this.get(path.join('.')) : undefined
+
+		const has = prop => {
+			if(typeof prop != 'string')
+				return false
+			if(!path.length)
+				return this.index[prop] !== undefined || this._overriddenKeys().includes(prop)
+			const container = current()
+			return this._isContainer(container) && Object.prototype.hasOwnProperty.call(container, prop)
+		}
+
+		const read = prop => {
+			const value = this.get(dotPath(prop))
+			return this._isContainer(value) ? this._live([...path, prop]) : value
+		}
+
+		const methods = {
+			$: () => instance,
+			$save: filePath => instance.save(filePath),
+			$saveSync: filePath => instance.saveSync(filePath),
+			// nothing to sync, kept for compatibility with the plain object form
+			$sync: () => undefined,
+			$on: (event, listener) => instance.on(event, listener),
+			$off: (event, listener) => instance.off(event, listener),
+		}
+
+		// target only gives the proxy its shape, state comes from the instance
+		const target = !path.length ? {} : Array.isArray(current()) ? [] : {}
+
+		const proxy = new Proxy(target, {
+
+			get(target, prop, receiver) {
+				if(!path.length && prop in methods)
+					return methods[prop]
+				if(has(prop))
+					return read(prop)
+
+				// deprecated name, see .aliases opt
+				if(typeof prop == 'string' && instance._alias(dotPath(prop), true) != dotPath(prop)){
+					const key = instance._alias(dotPath(prop))
+					const value = instance.get(key)
+					return instance._isContainer(value) ? instance._live(key.split('.')) : value
+				}
+
+				// array methods and such
+				return Reflect.get(target, prop, receiver)
+			},
+
+			set(target, prop, value) {
+				if(Array.isArray(target) && prop == 'length')
+					return instance._live__truncate(path, value)
+
+				// detach from other proxies and outside references
+				const result = instance.set(dotPath(prop), instance._clone(value), {create:true})
+				if(result && result.error)
+					throw new Error(`Comfig: ${result.error}, key: ${dotPath(prop)}`)
+				return true
+			},
+
+			deleteProperty(target, prop) {
+				if(typeof prop != 'string' || !instance.hasKey(dotPath(prop)))
+					return true
+
+				const result = instance.delete(dotPath(prop))
+				if(result && result.error)
+					throw new Error(`Comfig: ${result.error}, key: ${dotPath(prop)}`)
+				return true
+			},
+
+			has(target, prop) {
+				return has(prop) || (!path.length && prop in methods) || Reflect.has(target, prop)
+					|| (typeof prop == 'string' && instance.hasKey(dotPath(prop)))
+			},
+
+			ownKeys(target) {
+				if(!path.length)
+					return [...new Set([...instance.getKeys(), ...instance._overriddenKeys()])]
+				return Reflect.ownKeys(current())
+			},
+
+			getOwnPropertyDescriptor(target, prop) {
+				if(Array.isArray(target) && prop == 'length')
+					return {value: current().length, writable: true, enumerable: false, configurable: false}
+				if(has(prop))
+					return {value: read(prop), writable: true, enumerable: true, configurable: true}
+			},
+		})
+
+		// console.log inspects the target, bypassing the traps, show plain copy of the state instead
+		Object.defineProperty(target, Symbol.for('nodejs.util.inspect.custom'), {
+			value: (depth, opts, inspect) => inspect(this._clone(proxy), opts),
+			configurable: true,
+		})
+
+		return proxy
+	}
+
+	_live__truncate(path, length) {
+		/** Shrink proxied array, removing items from the end **/
+
+		const dotKey = path.join('.')
+		const arr = this.get(dotKey)
+
+		if(length > arr.length)
+			throw new Error(`Comfig: arrays can't have holes, key: ${dotKey}`)
+
+		for(let i = arr.length - 1; i >= length; i--){
+			const result = this.delete(`${dotKey}.${i}`)
+			if(result.error)
+				throw new Error(`Comfig: ${result.error}, key: ${dotKey}.${i}`)
+		}
+
+		return true
+	}
+
+	// Getters & Setters
+
+	get(dotKey, dflt, opts={}){
+		/** Get option value
+			  :dotKey   (str) dotkey access path, any depth
+			  :dflt     (any) default value, schema default is used if omitted
+			  :opts
+			   .raw?    (bool) don't resolve references, see .interpolate opt {false}
+			  @return   default or undefined
+			  @throws   when reference is missing or forms a cycle
+		**/
+
+		dotKey = this._alias(dotKey)
+
+		const [key, ...path] = dotKey.split('.')
+
+		const idx = this.index[key]
+		const overridden = this._overriddenKeys().includes(key)
+
+		if(dflt === undefined && this.schema)
+			dflt = this.schema.default(dotKey)
+
+		const top = overridden
+			? this._applyOverrides(key)
+			: idx !== undefined ? this.tree[idx].data[key] : undefined
+
+		let value;
+
+		if(idx === undefined && !overridden)
+			// key not set
+			return dflt
+		else if(path.length){
+			// object or array item
+			value = this._walk(top, path)
+			if(value === undefined)
+				return dflt
+		}
+		else
+			// direct value
+			value = top
+
+		return this.opts.interpolate && !opts.raw
+			? this._interpolate(value, [dotKey])
+			: value
+	}
+
+	getKeys() {
+		/** Get an array of all top level keys in use **/
+
+		let keys = []
+		for(const entry of this.tree)
+			keys = keys.concat(Object.keys(entry.data))
+
+		return keys
+	}
+
+	getRelated(key) {
+		/** Get all keys belonging to the same section, as an object
+			  @return    (obj) data or error
+		**/
+
+		const idx = this.index[key]
+
+		if(idx === undefined)
+			return {error: 'config option does not exist'}
+
+		return this.tree[idx].data
+	}
+
+	set(dotKey, value, opts={}) {
+		/** Set value for existing key, or create a new one.
+			Newly created items will be appended at the end within own section.
+			  :dotKey     (str) key access path, any depth
+			  :value      (any) value to set
+			  :opts
+			   .create?   (bool) allow new key creation, will error otherwise {false}
+			   .comment?  (str) section comment, if creating new top level key (optional)
+			  @return     (int|obj) section id or error object
+		**/
+
+		dotKey = this._alias(dotKey)
+
+		const [key, ...path] = dotKey.split('.')
+
+		const invalid = this._validateSubkeyValue(value) || this._validateSchema(dotKey, value)
+		if(invalid)
+			return invalid
+
+		const idx = this.index[key]
+
+		const readOnly = this._readOnly(idx)
+		if(readOnly)
+			return readOnly
+
+		// insert for new options
+		if(idx === undefined){
+
+			// creation of new keys must be explictly allowed
+			if(!opts.create)
+				return {error: 'config option does not exist'}
+
+			const event = {key: dotKey, old: undefined, value, section: this.tree.length}
+			const vetoed = this._veto('set', event)
+			if(vetoed)
+				return vetoed
+
+			// wrap value in objects, innermost first
+			let data = value
+			for(const segment of path.reverse())
+				data = {[segment]: data}
+
+			this.tree.push({comment: this._formatComment(opts.comment), data: {[key]: data}, comments: {}})
+			this._rebuildIndex()
+
+			this._mutated('set', event)
+			return this.index[key]
+		}
+
+		// check the path, nothing changes before listeners agree
+		let old = this.tree[idx].data[key]
+		for(const [i, segment] of path.entries()){
+
+			if(!this._isContainer(old))
+				return {error: 'not an object/array'}
+
+			// existing element, or the next one, arrays are never left with holes
+			if(Array.isArray(old) && !(/^\d+$/.test(segment) && segment <= old.length))
+				return {error: 'invalid array index'}
+
+			// array elements have extra rules
+			if(i == path.length - 1 && Array.isArray(old)){
+				const invalid = this._validateSubkeyValue(value, true)
+				if(invalid)
+					return invalid
+			}
+
+			old = old[segment]
+
+			if(old === undefined && i < path.length - 1){
+				// intermediate objects are new keys too
+				if(!opts.create)
+					return {error: 'config option does not exist'}
+				break
+			}
+		}
+
+		const event = {key: dotKey, old: this._clone(old), value, section: idx}
+		const vetoed = this._veto('set', event)
+		if(vetoed)
+			return vetoed
+
+		// update existing option
+		if(path.length){
+			const prop = path.pop()
+			let parent = this.tree[idx].data[key]
+
+			for(const segment of path){
+
+				if(parent[segment] === undefined)
+					parent[segment] = {}
+
+				parent = parent[segment]
+			}
+
+			parent[prop] = value
+		} else {
+			this.tree[idx].data[key] = value
+		}
+
+		this._mutated('set', event)
+		return idx
+	}
+
+	delete(dotKey, removeComment) {
+		/** Remove option key.
+			Will remove empty section, unless it has a comment or a name.
+			  :removeComment   (bool) remove empty, even with a comment
+		**/
+
+		dotKey = this._alias(dotKey)
+
+		const [key, ...path] = dotKey.split('.')
+
+		const idx = this.index[key]
+
+		if(idx === undefined)
+			return false
+
+		const readOnly = this._readOnly(idx)
+		if(readOnly)
+			return readOnly
+
+		if(path.length){
+			// delete sub item
+
+			const prop = path.pop()
+			const item = this._walk(this.tree[idx].data[key], path)
+
+			if(!this._isContainer(item))
+				return {error: 'not an object/array'}
+
+			if(Array.isArray(item) && !(/^\d+$/.test(prop) && prop < item.length))
+				return false
+
+			const event = {key: dotKey, old: this._clone(item[prop]), value: undefined, section: idx}
+			const vetoed = this._veto('delete', event)
+			if(vetoed)
+				return vetoed
+
+			if(Array.isArray(item)){
+				// array
+				item.splice(prop, 1)
+				this._deleteComments(idx, dotKey)
+				this._shiftComments(idx, [key, ...path].join('.'), prop)
+			} else {
+				// object
+				delete item[prop]
+				this._deleteComments(idx, dotKey)
+			}
+
+			this._mutated('delete', event)
+			return true
+		}
+
+		const event = {key: dotKey, old: this._clone(this.tree[idx].data[key]), value: undefined, section: idx}
+		const vetoed = this._veto('delete', event)
+		if(vetoed)
+			return vetoed
+
+		// delete top-level key
+		delete this.tree[idx].data[key]
+		delete this.index[key]
+		this._deleteComments(idx, key)
+		this._liftComment(idx)
+
+		// purge section, unless it has other keys,
+		// or only comment is left, but we don't want to delete it
+		if(!Object.keys(this.tree[idx].data).length && (!this.tree[idx].comment && !this.tree[idx].name || removeComment)){
+			this.tree.splice(idx, 1)
+			this._rebuildIndex()
+		}
+
+		this._mutated('delete', event)
+		return true
+	}
+
+	hasKey(dotKey) {
+		/** Check if key exists, at any depth **/
+
+		dotKey = this._alias(dotKey)
+
+		const [key, ...path] = dotKey.split('.')
+
+		const idx = this.index[key]
+
+		if(idx === undefined)
+			return false
+
+		const prop = path.pop()
+		if(prop === undefined)
+			return true
+
+		const parent = this._walk(this.tree[idx].data[key], path)
+
+		return this._isContainer(parent) && Object.prototype.hasOwnProperty.call(parent, prop)
+	}
+
+	getSectionId(key) {
+		/** Get id of the section to which the key belongs to **/
+		return this.index[key]
+	}
+
+	_deleteComments(idx, dotKey) {
+		/** Remove comments of nested item and everything within it, and their formatting **/
+
+		for(const comments of [this.tree[idx].comments, this.tree[idx].format || {}]){
+			for(const path in comments){
+				if(path == dotKey || path.startsWith(dotKey + '.'))
+					delete comments[path]
+			}
+		}
+	}
+
+	_shiftComments(idx, arrayPath, removed) {
+		/** Renumber comments of array elements following the removed one, and their formatting **/
+
+		const prefix = arrayPath + '.'
+
+		for(const comments of [this.tree[idx].comments, this.tree[idx].format || {}]){
+
+			const paths = Object.keys(comments)
+				.filter(path => path.startsWith(prefix))
+				.map(path => [path, path.slice(prefix.length).split('.')])
+				.filter(([path, [pos]]) => /^\d+$/.test(pos) && +pos > removed)
+				.sort((a, b) => a[1][0] - b[1][0])
+
+			for(const [path, [pos, ...rest]] of paths){
+				const newPath = [arrayPath, pos - 1, ...rest].join('.')
+				comments[newPath] = comments[path]
+				delete comments[path]
+			}
+		}
+	}
+
+	_walk(value, path) {
+		/** Follow path segments down the nested objects/arrays
+			  :value    (any) starting point
+			  :path     (arr) segments to follow
+			  @return   (any) value found, or undefined if path is broken
+		**/
+
+		for(const segment of path){
+			if(!this._isContainer(value) || !Object.prototype.hasOwnProperty.call(value, segment))
+				return undefined
+			value = value[segment]
+		}
+
+		return value
+	}
+
+	_isContainer(value) {
+		/** Check if value is an object or an array **/
+		return typeof value == 'object' && value != null
+	}
+
+	_validateSchema(dotKey, value) {
+		/** Validate value against the schema, if there is one
+			  @return   (obj|undefined) error object with list of violations
+		**/
+
+		if(!this.schema)
+			return
+
+		const violations = this.schema.validateValue(dotKey, value)
+
+		if(violations.length)
+			return this._schemaError(violations)
+	}
+
+	_schemaError(violations) {
+		/** Wrap schema violations in error object **/
+		return {
+			error: `schema violation, ${violations[0].key}: ${violations[0].error}`,
+			violations,
+		}
+	}
+
+	validate() {
+		/** Validate current state against the schema
+			  @return   (arr) violations, empty when valid or there is no schema
+		**/
+
+		if(!this.schema)
+			return []
+
+		const data = {}
+		for(const entry of this.tree)
+			Object.assign(data, entry.data)
+
+		return this.schema.validate(data)
+	}
+
+	_validateSubkeyValue(value, inArray) {
+		/** Ensure that value can be serialized, see ComfigSerializer.invalidValue
+			  :inArray?  (bool) value is an array element
+		**/
+
+		const invalid = ComfigSerializer.invalidValue(value, this.opts.comment, inArray)
+		if(invalid)
+			return {error: invalid}
+	}
+
+	// Aliases
+
+	_alias(dotKey, quiet) {
+		/** Resolve deprecated key name to the new one, see .aliases opt.
+			Alias can be a part of the path, ie `db.timeout` for alias `db`.
+			  :quiet?   (bool) don't warn, just resolve
+			  @return   (str) canonical dotKey
+		**/
+
+		const aliases = this.opts.aliases
+		if(!aliases)
+			return dotKey
+
+		for(const alias in aliases){
+			if(dotKey == alias || dotKey.startsWith(alias + '.')){
+				if(!quiet)
+					this._alias__warn(alias, aliases[alias])
+				return aliases[alias] + dotKey.slice(alias.length)
+			}
+		}
+
+		return dotKey
+	}
+
+	_alias__warn(alias, key) {
+		/** Let the hook know, or warn once per alias **/
+
+		const message = `Comfig: "${alias}" is deprecated, use "${key}" instead`
+
+		if(this.opts.warn)
+			return this.opts.warn(message, {alias, key})
+
+		this.warned = this.warned || new Set()
+		if(!this.warned.has(alias)){
+			this.warned.add(alias)
+			process.emitWarning(message, 'DeprecationWarning')
+		}
+	}
+
+	_aliases__normalize() {
+		/** Move values stored under deprecated names to their new place.
+			Value under the new name wins, when both are set.
+		**/
+
+		const aliases = this.opts.aliases
+		if(!aliases)
+			return
+
+		// resolving is not wanted here
+		this.opts.aliases = null
+
+		try {
+			this._muted(() => {
+				for(const alias in aliases){
+					if(!this.hasKey(alias))
+						continue
+
+					this._alias__warn(alias, aliases[alias])
+
+					if(this.hasKey(aliases[alias]))
+						this.delete(alias, true)
+					else
+						this.moveKey(alias, aliases[alias])
+				}
+			})
+		} finally {
+			this.opts.aliases = aliases
+		}
+	}
+
+	// Overrides
+
+	applyEnv(env=process.env) {
+		/** Read overrides from environment variables, replacing previous ones.
+			Variable name is the dotpath, with prefix, and separator instead of dots.
+			Key names are matched case insensitive, new keys are lowercase.
+			  :env?     (obj) variables, defaults to process.env
+			  @return   (obj) applied overrides, dotpath-value pairs
+		**/
+
+		const {prefix, separator='__'} = this.opts.env || {}
+
+		if(!prefix)
+			return {error: 'env option with prefix is required'}
+
+		const overrides = {}
+
+		for(const name in env){
+			if(!name.startsWith(prefix) || name.length == prefix.length)
+				continue
+
+			const dotKey = this._matchPath(name.slice(prefix.length).split(separator))
+			overrides[dotKey] = ComfigParser.convertValue(env[name])
+		}
+
+		this._setOverrides('env', overrides)
+
+		return overrides
+	}
+
+	applyArgs(args=process.argv, opts={}) {
+		/** Read overrides from command line arguments, replacing previous ones.
+			Recognizes --dot.key=value, --dot.key value and --flag for true,
+			other arguments are skipped, and so is everything after --
+			  :args?     (arr) arguments, defaults to process.argv
+			  :opts
+			   .create?  (bool) allow keys that do not exist, will error otherwise {false}
+			  @return    (obj) applied overrides, dotpath-value pairs, or error object
+		**/
+
+		const overrides = {}
+
+		for(let i=0; i<args.length; i++){
+
+			// end of options
+			if(args[i] == '--')
+				break
+
+			const r = /^--([\w-]+(?:\.[\w-]+)*)(?:=(.*))?$/s.exec(args[i])
+			if(!r)
+				continue
+
+			let value = r[2]
+			if(value === undefined)
+				value = (i+1 < args.length && !args[i+1].startsWith('--')) ? args[++i] : 'true'
+
+			overrides[r[1]] = ComfigParser.convertValue(value)
+		}
+
+		// all or nothing, same as .set
+		for(const dotKey in overrides){
+
+			if(!opts.create && !this.hasKey(dotKey) && !(dotKey in this.getOverrides()))
+				return {error: `config option does not exist: ${dotKey}`}
+
+			const invalid = this._validateSchema(dotKey, overrides[dotKey])
+			if(invalid)
+				return invalid
+		}
+
+		this._setOverrides('argv', overrides)
+
+		return overrides
+	}
+
+	getOverrides(source) {
+		/** Get values overriding the tree
+			  :source?  (str) only from this source, ie "env"
+			  @return   (obj) dotpath-value pairs
+		**/
+
+		if(source)
+			return Object.assign({}, this.overrides[source])
+
+		return Object.assign({}, ...Object.values(this.overrides))
+	}
+
+	_setOverrides(source, overrides) {
+		/** Store overrides of a source, keeping precedence order of sources **/
+
+		this.overrides[source] = overrides
+
+		const ordered = {}
+		for(const name of Comfig.overrideSources){
+			if(this.overrides[name])
+				ordered[name] = this.overrides[name]
+		}
+
+		this.overrides = ordered
+	}
+
+	_matchPath(segments) {
+		/** Build dotpath from segments, matching existing key names case insensitive **/
+
+		const path = []
+		let keys = Object.keys(this.index)
+
+		for(const segment of segments){
+			const match = keys.find(key => key.toLowerCase() == segment.toLowerCase())
+			path.push(match !== undefined ? match : segment.toLowerCase())
+
+			const value = this.get(path.join('.'))
+			keys = this._isContainer(value) ? Object.keys(value) : []
+		}
+
+		return path.join('.')
+	}
+
+	_overriddenKeys() {
+		/** Get top level keys with overrides **/
+
+		const keys = []
+		for(const source in this.overrides){
+			for(const dotKey in this.overrides[source]){
+				const key = dotKey.split('.')[0]
+				if(!keys.includes(key))
+					keys.push(key)
+			}
+		}
+
+		return keys
+	}
+
+	_applyOverrides(key) {
+		/** Get value of top level key, with overrides applied on a copy.
+			Later sources win, shallow paths are applied first.
+		**/
+
+		const idx = this.index[key]
+		let value = idx !== undefined ? this._clone(this.tree[idx].data[key]) : undefined
+
+		for(const source in this.overrides){
+
+			const paths = Object.keys(this.overrides[source])
+				.filter(dotKey => dotKey == key || dotKey.startsWith(key + '.'))
+				.sort((a, b) => a.split('.').length - b.split('.').length)
+
+			for(const dotKey of paths){
+				const override = this._clone(this.overrides[source][dotKey])
+				const path = dotKey.split('.').slice(1)
+
+				if(!path.length){
+					value = override
+					continue
+				}
+
+				// create missing objects along the way
+				if(!this._isContainer(value))
+					value = {}
+
+				let parent = value
+				for(const segment of path.slice(0, -1)){
+					if(!this._isContainer(parent[segment]))
+						parent[segment] = {}
+					parent = parent[segment]
+				}
+
+				parent[path[path.length - 1]] = override
+			}
+		}
+
+		return value
+	}
+
+	_clone(value) {
+		/** Deep copy of objects and arrays **/
+
+		if(Array.isArray(value))
+			return value.map(elem => this._clone(elem))
+
+		if(this._isContainer(value)){
+			const copy = {}
+			for(const key in value)
+				copy[key] = this._clone(value[key])
+			return copy
+		}
+
+		return value
+	}
+
+	_isEqual(a, b) {
+		/** Deep compare of values **/
+
+		if(!this._isContainer(a) || !this._isContainer(b))
+			return a === b
+
+		if(Array.isArray(a) != Array.isArray(b))
+			return false
+
+		const keys = Object.keys(a)
+		if(keys.length != Object.keys(b).length)
+			return false
+
+		return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && this._isEqual(a[key], b[key]))
+	}
+
+	// Interpolation
+
+	_interpolate(value, chain) {
+		/** Resolve references in strings, objects and arrays are resolved recursively, on a copy.
+			Value made of a single reference gets the type of referenced value.
+			  :value    (any) value to resolve
+			  :chain    (arr) dotpaths being resolved, last one is the value's own
+			  @return   (any) resolved value
+		**/
+
+		const dotKey = chain[chain.length - 1]
+
+		if(Array.isArray(value))
+			return value.map((elem, i) => this._interpolate(elem, chain.concat(`${dotKey}.${i}`)))
+
+		if(this._isContainer(value)){
+			const copy = {}
+			for(const key in value)
+				copy[key] = this._interpolate(value[key], chain.concat(`${dotKey}.${key}`))
+			return copy
+		}
+
+		if(typeof value != 'string' || !value.includes('${'))
+			return value
+
+		const single = /^\$\{([^}]+)\}$/.exec(value)
+		if(single)
+			return this._interpolate__resolve(single[1].trim(), chain, true)
+
+		// $${ is an escaped ${
+		return value.replace(/\$?\$\{([^}]*)\}/g, (match, ref) => {
+
+			if(match.startsWith('$$'))
+				return match.slice(1)
+
+			const resolved = this._interpolate__resolve(ref.trim(), chain)
+
+			if(this._isContainer(resolved))
+				throw new Error(`Comfig: cannot embed object or array "${ref}" within a string, in ${dotKey}`)
+
+			return String(resolved)
+		})
+	}
+
+	_interpolate__resolve(ref, chain, typed) {
+		/** Get value of a reference, dotpath or env:NAME
+			  :typed    (bool) convert environment value to its type
+		**/
+
+		const dotKey = chain[chain.length - 1]
+
+		if(ref.startsWith('env:')){
+			const name = ref.slice(4)
+
+			if(process.env[name] === undefined)
+				throw new Error(`Comfig: missing environment variable "${name}", referenced in ${dotKey}`)
+
+			return typed ? ComfigParser.convertValue(process.env[name]) : process.env[name]
+		}
+
+		if(chain.includes(ref))
+			throw new Error(`Comfig: reference cycle, ${chain.concat(ref).join(' -> ')}`)
+
+		const value = this.get(ref, undefined, {raw:true})
+
+		if(value === undefined)
+			throw new Error(`Comfig: missing reference "${ref}", in ${dotKey}`)
+
+		return this._interpolate(value, chain.concat(ref))
+	}
+
+	_sync__uninterpolate(obj) {
+		/** Get copy of obj, where resolved values that did not change are replaced with raw ones **/
+
+		if(!this.opts.interpolate)
+			return obj
+
+		obj = Object.assign({}, obj)
+
+		for(const key of this.getKeys().concat(this._overriddenKeys())){
+
+			if(!(key in obj))
+				continue
+
+			const raw = this.get(key, undefined, {raw:true})
+
+			let resolved;
+			try {
+				resolved = this._interpolate(raw, [key])
+			} catch (err) {
+				// broken references are resolved nowhere, nothing to restore
+				continue
+			}
+
+			obj[key] = this._sync__uninterpolate__value(obj[key], raw, resolved)
+		}
+
+		return obj
+	}
+
+	_sync__uninterpolate__value(value, raw, resolved) {
+
+		if(this._isEqual(value, resolved))
+			return raw
+
+		if(!this._isContainer(value) || !this._isContainer(raw) || Array.isArray(value) != Array.isArray(raw))
+			return value
+
+		const copy = Array.isArray(value) ? value.slice() : Object.assign({}, value)
+
+		for(const key in copy){
+			if(key in raw)
+				copy[key] = this._sync__uninterpolate__value(copy[key], raw[key], resolved[key])
+		}
+
+		return copy
+	}
+
+	// Comments
+
+	setComment(entityId, comment, opts={}) {
+		/** Add or replace comment for section containing given key,
+			or for object key/array element when dotpath is given
+			  :idx     (int|str) section id or handle, key or dotpath
+			  :comment (str) comment body
+			  :opts
+			   .add?   (bool) add to existing comment, otherwise replace {false}
+			   .raw?   (bool) don't format, use as provided {false}
+			   .own?   (bool) comment directly in front of the key, instead of section header {false}
+		**/
+
+		if(Number.isInteger(entityId) || this._isHandle(entityId))
+			return this.setSectionComment(entityId, comment, opts)
+		else if(typeof entityId == 'string')
+			return this.setKeyComment(entityId, comment, opts)
+		else
+			return {error: 'invalid entity id, must be key name or section id'}
+	}
+
+	setKeyComment(dotKey, comment, opts={}) {
+
+		const [key, ...path] = dotKey.split('.')
+
+		const idx = this.index[key]
+
+		if(idx === undefined || (path.length && !this.hasKey(dotKey)))
+			return {error: 'config option does not exist'}
+		else if(path.length)
+			return this._setComment(idx, comment, opts, dotKey)
+		else
+			return this._setComment(idx, comment, opts, opts.own ? this._ownCommentPath(idx, key) : undefined)
+	}
+
+	setSectionComment(idx, comment, opts={}) {
+
+		idx = this._section(idx)
+
+		if(this.tree[idx] === undefined)
+			return {error: 'invalid section id'}
+		else
+			return this._setComment(idx, comment, opts)
+	}
+
+	_setComment(idx, comment, opts={}, dotKey){
+		/** Set comment, see .setComment for more info
+			  :dotKey?  (str) item to comment, section comment otherwise
+		**/
+
+		const readOnly = this._readOnly(idx)
+		if(readOnly)
+			return readOnly
+
+		if(opts.raw){
+			// comments must end with \n
+			if(!comment.endsWith('\n'))
+				comment += '\n'
+		} else {
+			comment = this._formatComment(comment)
+		}
+
+		const section = this.tree[idx]
+		const old = dotKey ? section.comments[dotKey] || '' : section.comment
+
+		if(opts.add)
+			comment = old + comment
+
+		const event = {key: dotKey, old, value: comment, section: idx}
+		const vetoed = this._veto('setComment', event)
+		if(vetoed)
+			return vetoed
+
+		if(!dotKey)
+			// section comment
+			section.comment = comment
+		else if(comment)
+			// key, object key or array element
+			section.comments[dotKey] = comment
+		else
+			delete section.comments[dotKey]
+
+		this._mutated('setComment', event)
+	}
+
+	_ownCommentPath(idx, key) {
+		/** Get path of the comment in front of the key.
+			Comment in front of the first key is the section comment.
+			  @return   (str|undefined) key, or undefined for section comment
+		**/
+
+		if(Object.keys(this.tree[idx].data)[0] != key)
+			return key
+	}
+
+	_liftComment(idx) {
+		/** Comment in front of the first key becomes part of section comment,
+			same as it would after saving and loading again
+		**/
+
+		const section = this.tree[idx]
+		const first = Object.keys(section.data)[0]
+
+		if(first !== undefined && section.comments[first]){
+			section.comment += section.comments[first]
+			delete section.comments[first]
+		}
+	}
+
+	_formatComment(comment) {
+		/** Prepend each comment line with configured comment chars
+			  :comment  (str|arr) comment to format
+			  @return   (str)
+		**/
+
+		if(!comment)
+			return ''
+
+		if(typeof comment == 'string'){
+			comment = comment.split('\n')
+
+		return comment
+				.map(line => `${this.opts.comment} ${line}`)
+				.join('\n') + '\n'
+		}
+	}
+
+	getComment(entityId, opts) {
+		/** Get comment for an entity, key or section
+			Note: comments begin with symbols.
+			  :opts    (bool|obj) raw flag, or options
+			   .raw?   (bool) return comment string as is {false}
+			   .own?   (bool) comment directly in front of the key, instead of section header {false}
+		**/
+
+		if(Number.isInteger(entityId) || this._isHandle(entityId))
+			return this.getSectionComment(entityId, typeof opts == 'object' ? opts.raw : opts)
+		else if(typeof entityId == 'string')
+			return this.getKeyComment(entityId, opts)
+		else
+			return {error: 'invalid entity id, must be key name or section id'}
+	}
+
+	getKeyComment(dotKey, opts={}) {
+
+		if(typeof opts != 'object')
+			opts = {raw: opts}
+
+		const [key, ...path] = dotKey.split('.')
+
+		const idx = this.index[key]
+
+		if(idx === undefined || (path.length && !this.hasKey(dotKey)))
+			return {error: 'config option does not exist'}
+
+		const ownPath = path.length
+			? dotKey
+			: opts.own ? this._ownCommentPath(idx, key) : undefined
+
+		const comment = ownPath
+			? this.tree[idx].comments[ownPath] || ''
+			: this.tree[idx].comment
+
+		return opts.raw ? comment : this._getComment__strip(comment)
+	}
+
+	getSectionComment(idx, raw) {
+
+		const section = this.tree[this._section(idx)]
+
+		return section
+			? (raw ? section.comment : this._getComment__strip(section.comment))
+			: {error: 'invalid section id'}
+	}
+
+	_getComment__strip(str) {
+		/** Strip comment symbols and return array of clean text lines **/
+
+		const clean = []
+		const lines = str.split('\n')
+		const regex = /^[^\p{L}\p{N}]+\s*(.+)/u
+
+		for(const line of lines){
+			const res = regex.exec(line)
+			if(res)
+				clean.push(res[1])
+		}
+
+		return clean
+	}
+
+	deleteComment(entityId, opts) {
+		/** Delete entity comment, key or section **/
+		return this.setComment(entityId, null, opts)
+	}
+
+	deleteKeyComment(dotKey, opts) {
+		return this.setKeyComment(dotKey, null, opts)
+	}
+
+	deleteSectionComment(idx) {
+		return this.setSectionComment(idx, null)
+	}
+
+	convertCommentSymbol(fromChars, toChar){
+		/** Convert comment symbol from one to another.
+			Only converts first character of the line.
+			Comments within arrays keep configured symbol, they would be read back as elements otherwise.
+			  :fromChars   (str|arr) symbols to replace
+			  :toChar?     (str) symbol to convert to, defaults to current config
+		**/
+
+		if(!toChar)
+			toChar = this.opts.comment
+
+		let recorded = false
+
+		const convert = (target, prop) => {
+			const converted = this._convertCommentSymbol__lines(target[prop], fromChars, toChar)
+			if(converted == target[prop])
+				return
+
+			// record once, before the first change
+			if(!recorded)
+				this._record()
+			recorded = true
+
+			target[prop] = converted
+		}
+
+		for(const entry of this.tree){
+
+			// comments within objects
+			for(const dotKey in entry.comments)
+				if(!this._convertCommentSymbol__inArray(entry.data, dotKey))
+					convert(entry.comments, dotKey)
+
+			if(entry.comment)
+				convert(entry, 'comment')
+		}
+	}
+
+	_convertCommentSymbol__inArray(data, dotKey) {
+		/** Is comment path an array element, or the end of an array **/
+
+		const path = dotKey.split('.').slice(0, -1)
+		if(!path.length)
+			return false
+
+		let value = data
+		for(const key of path)
+			value = this._isContainer(value) ? value[key] : undefined
+
+		return Array.isArray(value)
+	}
+
+	_convertCommentSymbol__lines(comment, fromChars, toChar) {
+
+		const lines = comment.split('\n')
+
+		for(const i in lines){
+			for(const char of fromChars){
+				if(lines[i][0] == char){
+					// replace
+					lines[i] = toChar + lines[i].substr(1)
+				}
+			}
+		}
+
+		return lines.join('\n')
+	}
+
+	// Sections
+
+	addSectionKey(idx, key, value) {
+		/** Add new key to existing section **/
+
+		idx = this._section(idx)
+
+		if(!this.tree[idx])
+			return {error: 'invalid section id'}
+
+		const readOnly = this._readOnly(idx)
+		if(readOnly)
+			return readOnly
+
+		if(this.index[key])
+			return {error: 'key already exist'}
+
+		this._record()
+
+		this.tree[idx].data[key] = value
+		this.index[key] = idx
+	}
+
+	addSection(opts) {
+		/** Insert new section at arbitrary position.
+			  :opts
+			   .id?       (int|str) section id, handle or name to insert at, will append if omitted
+			   .key?      (str) initial option name, must be unique
+			   .value?    (multi) option value
+			   .comment?  (str) section comment
+			   .name?     (str) section name, must be unique
+			  @return     (int|obj) section id or error object
+		**/
+
+		if(!('id' in opts) && !('key' in opts) && !('value' in opts) && !('comment' in opts) && !('name' in opts))
+			return {error: 'no params supplied'}
+
+		if('name' in opts){
+			const invalid = this._sectionName(opts.name)
+			if(invalid)
+				return invalid
+		}
+
+		let data;
+
+		if((opts.key || 'value' in opts) && (!opts.key || !('value' in opts))){
+			// this block runs when key or value are provided, but not both
+			return {error: 'when setting key, both key and value are required'}
+		} else if(opts.key) {
+			// key and value are provided
+
+			if(this.index[opts.key] !== undefined)
+				return {error: 'key already exist'}
+
+			data = { [opts.key]: opts.value }
+		}
+
+		const section = {
+			comment: this._formatComment(opts.comment),
+			data: data || {},
+			comments: {},
+		}
+
+		if(opts.name)
+			section.name = opts.name
+
+		const id = 'id' in opts ? this._section(opts.id) : this.tree.length
+
+		if('id' in opts){
+			// insert somewhere in the middle
+
+			if(!data && !opts.comment && !opts.name)
+				return {error: 'no data'}
+
+			if(!this.tree[id])
+				return {error: 'invalid section id'}
+		}
+
+		const event = {key: opts.key, old: undefined, value: opts.value, comment: section.comment, section: id}
+		const vetoed = this._veto('addSection', event)
+		if(vetoed)
+			return vetoed
+
+		this.tree.splice(id, 0, section)
+
+		this._rebuildIndex()
+
+		this._mutated('addSection', event)
+		return id
+	}
+
+	moveSection(idxFrom, idxTo) {
+		/** Rearrange sections **/
+
+		idxFrom = this._section(idxFrom)
+		idxTo = this._section(idxTo)
+
+		if(!this.tree[idxFrom] || !this.tree[idxTo])
+			return {error: 'invalid section id'}
+
+		const readOnly = this._readOnly(idxFrom)
+		if(readOnly)
+			return readOnly
+
+		const event = {old: idxFrom, value: idxTo, section: idxFrom}
+		const vetoed = this._veto('moveSection', event)
+		if(vetoed)
+			return vetoed
+
+		const section = this.tree.splice(idxFrom, 1)
+
+		if(idxFrom < idxTo)
+			idxTo -= 1
+
+		this.tree.splice(idxTo, 0, section[0])
+
+		this._rebuildIndex()
+
+		this._mutated('moveSection', event)
+	}
+
+	reorderSection(idx, newOrder) {
+		/** Reorder section items to match provided array **/
+
+		idx = this._section(idx)
+
+		if(!this.tree[idx])
+			return {error: 'invalid section id'}
+
+		const readOnly = this._readOnly(idx)
+		if(readOnly)
+			return readOnly
+
+		const item = this.tree[idx].data
+
+		if(!this._commonArrays(Object.keys(item), newOrder))
+			return {error: 'invalid new order array'}
+
+		this._record()
+
+		const data = {}
+		for(const key of newOrder)
+			data[key] = this.tree[idx].data[key]
+
+		this.tree[idx].data = data
+		this._liftComment(idx)
+	}
+
+	deleteSection(idx) {
+
+		idx = this._section(idx)
+
+		if(!this.tree[idx])
+			return {error: 'invalid section id'}
+
+		const readOnly = this._readOnly(idx)
+		if(readOnly)
+			return readOnly
+
+		const event = {old: this._data([this.tree[idx]]), value: undefined, comment: this.tree[idx].comment, section: idx}
+		const vetoed = this._veto('deleteSection', event)
+		if(vetoed)
+			return vetoed
+
+		this.tree.splice(idx, 1)
+
+		this._rebuildIndex()
+
+		this._mutated('deleteSection', event)
+	}
+
+	getSection(idx) {
+		/** Describe a section
+			  :idx      (int|str) section id, handle or name
+			  @return   (obj|undefined) {handle, name, id, comment, keys}, id being current position, comment lines without symbols
+		**/
+
+		const id = this._section(idx)
+		const section = this.tree[id]
+
+		if(!section)
+			return undefined
+
+		return {
+			handle: section.handle,
+			name: section.name,
+			id,
+			comment: this._getComment__strip(section.comment),
+			keys: Object.keys(section.data),
+		}
+	}
+
+	setSectionName(idx, name) {
+		/** Name a section, so it can be referenced by name, null removes the name
+			  :idx      (int|str) section id, handle or name
+			  @return   (undefined|obj) error object
+		**/
+
+		idx = this._section(idx)
+
+		if(!this.tree[idx])
+			return {error: 'invalid section id'}
+
+		if(this.tree[idx].name === (name === null ? undefined : name))
+			return
+
+		if(name !== null){
+			const invalid = this._sectionName(name)
+			if(invalid)
+				return invalid
+		}
+
+		this._record()
+
+		if(name === null)
+			delete this.tree[idx].name
+		else
+			this.tree[idx].name = name
+	}
+
+	_section(idx) {
+		/** Resolve section id, handle or name to current position
+			  @return   (int|undefined)
+		**/
+
+		if(typeof idx != 'string')
+			return idx
+
+		const id = this.tree.findIndex(section => this._isHandle(idx) ? section.handle === idx : section.name === idx)
+
+		return id == -1 ? undefined : id
+	}
+
+	_sectionName(name) {
+		/** Check new section name
+			  @return   (undefined|obj) error object
+		**/
+
+		if(typeof name != 'string' || !/^[\w-]+$/.test(name))
+			return {error: 'invalid section name, use letters, numbers, `_` and `-`'}
+
+		if(this._section(name) !== undefined)
+			return {error: 'section name already exist'}
+	}
+
+	_isHandle(idx) {
+		return typeof idx == 'string' && /^#\d+$/.test(idx)
+	}
+
+	_commonArrays(arr1, arr2) {
+		/** Check if both arrays include same items, no matter the order **/
+		return arr1.filter(item => arr2.includes(item)).length === arr2.length
+	}
+
+	// Layers
+
+	static layered(filePaths, opts) {
+		/** Create layered config from several files, see ComfigStack
+			  @return   (ComfigStack)
+		**/
+		return new ComfigStack(filePaths, opts)
+	}
+
+	// Schema
+
+	static fromSchema(schema, opts={}) {
+		/** Create new instance populated with schema defaults, ready to be saved as a starter file.
+			Each key gets own section, unless rules share a .group name.
+			Descriptions become comments, nested ones included.
+			  :schema   (obj) rules, see ComfigSchema
+			  :opts     (obj) instance options, schema is attached too
+			  @return   (Comfig) new instance
+		**/
+
+		const comfig = new Comfig(null, Object.assign({}, opts, {schema}))
+
+		// section id by group name
+		const groups = {}
+
+		for(const key in schema){
+			const rule = schema[key]
+			const value = Comfig._fromSchema__value(rule)
+
+			if(rule.group !== undefined && groups[rule.group] !== undefined){
+				comfig.addSectionKey(groups[rule.group], key, value)
+			} else {
+				const id = comfig.addSection({key, value})
+				if(rule.group !== undefined)
+					groups[rule.group] = id
+			}
+
+			if(rule.description)
+				comfig.setComment(key, rule.description, {own:true, add:true})
+
+			comfig._fromSchema__comments(key, rule)
+		}
+
+		return comfig
+	}
+
+	static _fromSchema__value(rule) {
+		/** Get default value of the rule, objects are built from property defaults **/
+
+		if(rule.default !== undefined)
+			return rule.default
+
+		if(rule.properties){
+			const obj = {}
+			for(const key in rule.properties)
+				obj[key] = Comfig._fromSchema__value(rule.properties[key])
+			return obj
+		}
+
+		return null
+	}
+
+	_fromSchema__comments(dotKey, rule) {
+		/** Add descriptions of object keys as comments **/
+
+		for(const key in rule.properties || {}){
+			const subrule = rule.properties[key]
+			const path = `${dotKey}.${key}`
+
+			if(!this.hasKey(path))
+				continue
+
+			if(subrule.description)
+				this.setComment(path, subrule.description)
+
+			this._fromSchema__comments(path, subrule)
+		}
+	}
+
+	// Diff & merge
+
+	static diff(a, b) {
+		/** Compare two documents.
+			Values are compared by their dotpath, arrays as a whole.
+			Sections are matched by keys they share, sections without keys by their comment.
+			  :a        (Comfig|str) old document, instance or Comfig text
+			  :b        (Comfig|str) new document
+			  @return   (obj) lists of changes, section ids are from b, or from a for removed items
+			   .added     [{key, value, section}]
+			   .removed   [{key, old, section}]
+			   .changed   [{key, old, value, section}]
+			   .comments  [{key, old, value, section}] key is undefined for section comment
+			   .moved     [{from, to, keys}] sections, from id in a to id in b
+		**/
+
+		a = Comfig._document(a)
+		b = Comfig._document(b)
+
+		const diff = {added: [], removed: [], changed: [], comments: [], moved: []}
+
+		// values
+		const flatA = a._flatten(a.tree, true)
+		const flatB = b._flatten(b.tree, true)
+		const sectionOf = (comfig, dotKey) => comfig.index[dotKey.split('.')[0]]
+
+		for(const key in flatB){
+			if(!(key in flatA))
+				diff.added.push({key, value: flatB[key], section: sectionOf(b, key)})
+			else if(!a._isEqual(flatA[key], flatB[key]))
+				diff.changed.push({key, old: flatA[key], value: flatB[key], section: sectionOf(b, key)})
+		}
+
+		for(const key in flatA){
+			if(!(key in flatB))
+				diff.removed.push({key, old: flatA[key], section: sectionOf(a, key)})
+		}
+
+		const pairs = Comfig._diff__match(a, b)
+
+		// comments
+		for(const [idxA, idxB] of pairs){
+			const commentsA = Comfig._diff__comments(a.tree[idxA])
+			const commentsB = Comfig._diff__comments(b.tree[idxB])
+
+			for(const path of new Set([...Object.keys(commentsA), ...Object.keys(commentsB)])){
+				const old = commentsA[path] || ''
+				const value = commentsB[path] || ''
+				if(old != value)
+					diff.comments.push({key: path || undefined, old, value, section: idxB === undefined ? idxA : idxB})
+			}
+		}
+
+		// sections out of their original order
+		const matched = pairs.filter(([idxA, idxB]) => idxA !== undefined && idxB !== undefined)
+		const inOrder = Comfig._diff__increasing(matched.map(([idxA]) => idxA))
+
+		for(const [idxA, idxB] of matched){
+			if(!inOrder.has(idxA))
+				diff.moved.push({from: idxA, to: idxB, keys: Object.keys(b.tree[idxB].data)})
+		}
+
+		return diff
+	}
+
+	static _document(doc) {
+		/** Get instance from Comfig text, instances are used as they are **/
+
+		if(doc instanceof Comfig)
+			return doc
+
+		const comfig = new Comfig(null)
+		comfig.import(doc)
+		return comfig
+	}
+
+	static _diff__match(a, b) {
+		/** Pair sections of both documents
+			  @return   (arr) [idxA, idxB] pairs in order of b, followed by sections found in a only,
+			            id is undefined for a section missing on one side
+		**/
+
+		const used = new Set()
+		const keyless = section => !Object.keys(section.data).length
+		const signature = section => section.name || section.include || section.comment
+
+		// sections with keys, by first key they share
+		const matches = b.tree.map(section => {
+			for(const key in section.data){
+				const idxA = a.index[key]
+				if(idxA !== undefined && !used.has(idxA)){
+					used.add(idxA)
+					return idxA
+				}
+			}
+		})
+
+		// sections without keys, same comment first, then in order
+		for(const sameOnly of [true, false]){
+			b.tree.forEach((section, idxB) => {
+				if(matches[idxB] !== undefined || !keyless(section))
+					return
+
+				const idxA = a.tree.findIndex((sectionA, idxA) => keyless(sectionA) && !used.has(idxA)
+					&& (!sameOnly || signature(sectionA) == signature(section)))
+
+				if(idxA != -1){
+					used.add(idxA)
+					matches[idxB] = idxA
+				}
+			})
+		}
+
+		const pairs = matches.map((idxA, idxB) => [idxA, idxB])
+
+		a.tree.forEach((section, idxA) => {
+			if(!used.has(idxA))
+				pairs.push([idxA, undefined])
+		})
+
+		return pairs
+	}
+
+	static _diff__comments(section) {
+		/** Get all comments of the section by path, section comment under empty path **/
+
+		if(!section)
+			return {}
+
+		return Object.assign({'': section.comment}, section.comments)
+	}
+
+	static _diff__increasing(ids) {
+		/** Get longest increasing subsequence, items that kept their order
+			  @return   (Set) ids in order
+		**/
+
+		const lengths = ids.map(() => 1)
+		const previous = ids.map(() => -1)
+
+		for(let i = 0; i < ids.length; i++){
+			for(let j = 0; j < i; j++){
+				if(ids[j] < ids[i] && lengths[j] + 1 > lengths[i]){
+					lengths[i] = lengths[j] + 1
+					previous[i] = j
+				}
+			}
+		}
+
+		const inOrder = new Set()
+		let i = lengths.indexOf(Math.max(...lengths))
+		for(; i >= 0; i = previous[i])
+			inOrder.add(ids[i])
+
+		return inOrder
+	}
+
+	static merge(base, ours, theirs) {
+		/** Three-way merge, changes made in theirs since base are applied to a copy of ours.
+			Layout of ours is kept, new sections of theirs are placed next to their neighbours,
+			and their section moves are followed, unless ours moved the same section too.
+			Item changed on both sides, differently, is a conflict, ours is kept.
+			  :base     (Comfig|str) common ancestor, instance or Comfig text
+			  :ours     (Comfig|str)
+			  :theirs   (Comfig|str)
+			  @return   (obj)
+			   .comfig     (Comfig) merged instance, options of ours
+			   .conflicts  [{key, base, ours, theirs, comment?, section?}]
+		**/
+
+		base = Comfig._document(base)
+		ours = Comfig._document(ours)
+		theirs = Comfig._document(theirs)
+
+		// overrides are not applied again, state of ours is copied as it is
+		const merged = new Comfig(null, Object.assign({}, ours.opts, {env: null, argv: null}))
+		merged.useFile(ours.file)
+		merged.tree = merged._clone(ours.tree)
+		merged.handles = ours.handles
+		merged._rebuildIndex()
+
+		const conflicts = []
+		const diff = Comfig.diff(base, theirs)
+		const pairs = Comfig._diff__match(base, theirs)
+		const flatBase = base._flatten(base.tree, true)
+		const flatOurs = ours._flatten(ours.tree, true)
+
+		// base section of their section
+		const baseOf = {}
+		for(const [idxBase, idxTheirs] of pairs)
+			if(idxTheirs !== undefined)
+				baseOf[idxTheirs] = idxBase
+
+		const locate = idx => Comfig._merge__locate(merged, base.tree[baseOf[idx]], theirs.tree[idx])
+
+		// values
+		const settle = (key, value, removed) => {
+			const oursValue = flatOurs[key]
+			const unchanged = key in flatBase ? key in flatOurs && merged._isEqual(oursValue, flatBase[key]) : !(key in flatOurs)
+
+			if(removed ? !(key in flatOurs) : merged._isEqual(oursValue, value))
+				// same on both sides
+				return false
+
+			if(!unchanged)
+				conflicts.push({key, base: flatBase[key], ours: oursValue, theirs: value})
+
+			return unchanged
+		}
+
+		for(const {key, old} of diff.removed){
+			if(settle(key, undefined, true))
+				merged.delete(key, true)
+		}
+
+		const added = new Set()
+
+		for(const {key, value, section} of [...diff.changed, ...diff.added]){
+			const top = key.split('.')[0]
+
+			if(added.has(top) || !settle(key, value))
+				continue
+
+			if(merged.index[top] !== undefined || base.index[top] !== undefined || ours.index[top] !== undefined){
+				const result = merged.set(key, merged._clone(value), {create:true})
+				if(result.error)
+					conflicts.push({key, base: flatBase[key], ours: flatOurs[key], theirs: value})
+				continue
+			}
+
+			// whole new top-level key, with its comments
+			added.add(top)
+			Comfig._merge__add(merged, theirs, section, top, locate)
+		}
+
+		// comments and sections without keys
+		for(const [idxBase, idxTheirs] of pairs){
+			const sectionBase = base.tree[idxBase]
+			const sectionTheirs = theirs.tree[idxTheirs]
+
+			if(sectionBase && sectionTheirs){
+				const idx = locate(idxTheirs)
+				if(idx !== undefined)
+					Comfig._merge__comments(merged, idx, sectionBase, sectionTheirs, conflicts)
+			} else if(sectionTheirs && !Object.keys(sectionTheirs.data).length){
+				// new section without keys, gets own handle
+				const section = merged._clone(sectionTheirs)
+				delete section.handle
+				merged.tree.splice(Comfig._merge__position(merged, theirs, idxTheirs, locate), 0, section)
+				merged._rebuildIndex()
+			} else if(sectionBase && !Object.keys(sectionBase.data).length){
+				// removed section without keys
+				const idx = Comfig._merge__locate(merged, sectionBase, sectionBase)
+				if(idx !== undefined)
+					merged.tree.splice(idx, 1)
+			}
+		}
+
+		merged._rebuildIndex()
+
+		// section moves, unless ours moved them too
+		const movedOurs = Comfig.diff(base, ours).moved.map(move => move.from)
+
+		for(const move of diff.moved){
+			const idx = locate(move.to)
+			if(idx === undefined || movedOurs.includes(move.from))
+				continue
+
+			const [section] = merged.tree.splice(idx, 1)
+			merged._rebuildIndex()
+			merged.tree.splice(Comfig._merge__position(merged, theirs, move.to, locate), 0, section)
+			merged._rebuildIndex()
+		}
+
+		return {comfig: merged, conflicts}
+	}
+
+	static _merge__locate(merged, sectionBase, sectionTheirs) {
+		/** Find section of the merged instance, matching given sections of base and theirs
+			  @return   (int|undefined) section id
+		**/
+
+		for(const section of [sectionTheirs, sectionBase]){
+			if(!section)
+				continue
+
+			for(const key in section.data){
+				if(merged.index[key] !== undefined)
+					return merged.index[key]
+			}
+		}
+
+		// sections without keys, by their comment
+		const signature = section => section && (section.include || section.comment)
+
+		for(const section of [sectionBase, sectionTheirs]){
+			if(!section || Object.keys(section.data).length)
+				continue
+
+			const idx = merged.tree.findIndex(entry => !Object.keys(entry.data).length && signature(entry) == signature(section))
+			if(idx != -1)
+				return idx
+		}
+	}
+
+	static _merge__position(merged, theirs, idx, locate) {
+		/** Position for their section in merged instance, after its previous neighbour, or before the next one **/
+
+		for(let prev = idx - 1; prev >= 0; prev--){
+			const found = locate(prev)
+			if(found !== undefined)
+				return found + 1
+		}
+
+		for(let next = idx + 1; next < theirs.tree.length; next++){
+			const found = locate(next)
+			if(found !== undefined)
+				return found
+		}
+
+		return merged.tree.length
+	}
+
+	static _merge__add(merged, theirs, idx, key, locate) {
+		/** Add their new top-level key, to a section it shares with other keys, or a new one **/
+
+		const section = theirs.tree[idx]
+		const value = merged._clone(section.data[key])
+
+		// comments of the key, and within it
+		const comments = {}
+		for(const path in section.comments){
+			if(path == key || path.startsWith(key + '.'))
+				comments[path] = section.comments[path]
+		}
+
+		const shared = locate(idx)
+
+		if(shared !== undefined){
+			merged.tree[shared].data[key] = value
+			Object.assign(merged.tree[shared].comments, comments)
+		} else {
+			if(section.comments.$end)
+				comments.$end = section.comments.$end
+
+			const position = Comfig._merge__position(merged, theirs, idx, locate)
+			merged.tree.splice(position, 0, {comment: section.comment, data: {[key]: value}, comments})
+		}
+
+		merged._rebuildIndex()
+	}
+
+	static _merge__comments(merged, idx, sectionBase, sectionTheirs, conflicts) {
+		/** Apply comments changed in their section **/
+
+		const commentsBase = Comfig._diff__comments(sectionBase)
+		const commentsTheirs = Comfig._diff__comments(sectionTheirs)
+		const section = merged.tree[idx]
+
+		for(const path of new Set([...Object.keys(commentsBase), ...Object.keys(commentsTheirs)])){
+			const old = commentsBase[path] || ''
+			const value = commentsTheirs[path] || ''
+			const current = (path ? section.comments[path] : section.comment) || ''
+
+			if(old == value || current == value)
+				continue
+
+			// item removed in ours
+			const item = path.replace(/\.?\$end$/, '')
+			if(item && !merged.hasKey(item))
+				continue
+
+			if(current != old){
+				conflicts.push({key: path || undefined, comment: true, section: idx, base: old, ours: current, theirs: value})
+				continue
+			}
+
+			if(!path)
+				section.comment = value
+			else if(value)
+				section.comments[path] = value
+			else
+				delete section.comments[path]
+		}
+	}
+
+	// Lint
+
+	static lint(text, opts={}) {
+		/** Find problems in Comfig text, without loading it
+			  :text     (str) Comfig text
+			  :opts
+			   .comment?       (str) comment symbol {■}
+			   .sectionNames?  (bool) recognize @section directives {false}
+			   .file?          (str) file the text comes from, added to diagnostics
+			  @return   (arr) diagnostics {code, severity, message, line, column, range: {start, end}, snippet, file?},
+			            in order of appearance
+		**/
+
+		const parser = new ComfigParser(text, Object.assign({comment: '■'}, opts, {strict: false, include: false}))
+		const lines = parser.textLines
+		const diagnostics = []
+
+		const report = (severity, item, length) => {
+			const {code, message, line, column} = item
+			const range = {start: {line, column}, end: {line, column: column + Math.max(length, 1)}}
+			const diagnostic = {code, severity, message, line, column, range, snippet: lines[line - 1]}
+			if(opts.file)
+				diagnostic.file = opts.file
+			diagnostics.push(diagnostic)
+		}
+
+		// parse problems, range covers the token
+		for(const item of parser.diagnostics){
+			const token = /^([\w-]+|"""|.)/.exec(lines[item.line - 1].slice(item.column - 1))
+			report('error', item, token ? token[0].length : 1)
+		}
+
+		// keys with dots are not keys, line is read as a comment
+		for(const line of parser.commentLines){
+			const r = /^(\s*)([\w-]+(?:\.[\w-]+)+)\s*[:=]/.exec(lines[line - 1])
+			if(r)
+				report('warning', {code: 'DOTTED_KEY', message: `key \`${r[2]}\` contains a dot, line is read as a comment`, line, column: r[1].length + 1}, r[2].length)
+		}
+
+		// values, assignments and comment symbols
+		const assigns = []
+		for(const path in parser.lines){
+			const line = parser.lines[path]
+			const source = lines[line - 1]
+			const segments = path.split('.')
+			const parent = segments.length > 1 ? Comfig._lint__walk(parser.object, segments.slice(0, -1)) : parser.object
+			const value = parent && parent[segments[segments.length - 1]]
+
+			let raw = source.trim()
+			let column = source.length - source.trimStart().length + 1
+
+			if(!Array.isArray(parent)){
+				const r = /^(\s*[\w-]+\s*)([:=])\s*/.exec(source)
+				if(!r)
+					continue
+
+				assigns.push({symbol: r[2], line, column: r[1].length + 1})
+				raw = source.slice(r[0].length).trim()
+				column = r[0].length + 1
+			}
+
+			if(segments.length == 1){
+				const invalid = ComfigSerializer.invalidValue(value, parser.opts.comment)
+				if(invalid)
+					report('error', {code: 'INVALID_VALUE', message: `${invalid}, file cannot be saved`, line, column: 1}, source.trim().length)
+			}
+
+			const lossy = (typeof value == 'number' && String(value) != raw) || (value === null && raw == 'undefined')
+			if(lossy)
+				report('warning', {code: 'LOSSY_VALUE', message: `value \`${raw}\` is read as ${value}`, line, column}, raw.length)
+		}
+
+		Comfig._lint__mixed(assigns, (item, common) => report('warning', {
+			code: 'MIXED_ASSIGN', message: `assign \`${item.symbol}\` differs from \`${common}\` used elsewhere`, line: item.line, column: item.column}, 1))
+
+		// stray closers are read as comments too, but are reported already
+		const reported = new Set(diagnostics.map(item => item.line))
+
+		const symbols = []
+		for(const line of parser.commentLines){
+			const r = /^(\s*)([^\w\s])/u.exec(lines[line - 1])
+			if(r && !reported.has(line))
+				symbols.push({symbol: r[2], line, column: r[1].length + 1})
+		}
+
+		Comfig._lint__mixed(symbols, (item, common) => report('warning', {
+			code: 'MIXED_COMMENT', message: `comment symbol \`${item.symbol}\` differs from \`${common}\` used elsewhere`, line: item.line, column: item.column}, item.symbol.length))
+
+		return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column)
+	}
+
+	static _lint__walk(object, segments) {
+		/** Get nested value of parsed object **/
+
+		let value = object
+		for(const segment of segments)
+			value = value == null ? undefined : value[segment]
+
+		return value
+	}
+
+	static _lint__mixed(items, report) {
+		/** Report items that use other symbol than the most common one, earliest wins a tie **/
+
+		const counts = new Map()
+		for(const item of items)
+			counts.set(item.symbol, (counts.get(item.symbol) || 0) + 1)
+
+		let common;
+		for(const [symbol, count] of counts){
+			if(common === undefined || count > counts.get(common))
+				common = symbol
+		}
+
+		for(const item of items){
+			if(item.symbol != common)
+				report(item, common)
+		}
+	}
+
+	// Migrations
+
+	migrate(migrations, opts={}) {
+		/** Run migration steps needed to get from the stored version to the latest one.
+			Steps run in a chain, each starting at the version the previous one ended with.
+			Does not save automatically.
+			  :migrations  (arr) steps [{from, to, migrate(comfig)}]
+			  :opts
+			   .key?       (str) key storing the version {'version'}
+			  @return      (obj) report {from, to, steps: [{from, to, changes}]}
+			               changes made by helpers, ie {type: 'rename', key, to}, see .renameKey and others
+			  @throws      what migrate function throws, state is restored first
+		**/
+
+		const {key='version'} = opts
+
+		const version = this.get(key, null, {raw:true})
+		const report = {from: version, to: version, steps: []}
+
+		const remaining = migrations.slice()
+
+		try {
+			this.transaction(() => {
+				for(;;){
+					const step = remaining.find(step => step.from === report.to)
+					if(!step)
+						break
+
+					remaining.splice(remaining.indexOf(step), 1)
+
+					const changes = this.migration = []
+					step.migrate(this)
+
+					const set = this.set(key, step.to, {create:true})
+					if(set.error)
+						throw new Error(`Comfig: ${set.error}, migrating to ${step.to}`)
+
+					report.steps.push({from: step.from, to: step.to, changes})
+					report.to = step.to
+				}
+			})
+		} finally {
+			this.migration = null
+		}
+
+		return report
+	}
+
+	renameKey(dotKey, newDotKey) {
+		/** Rename key, keeping its place and comments.
+			Moves the key, when the new name has a different parent, see .moveKey
+			  @return   (bool|obj) false if key does not exist, or error object
+		**/
+
+		const path = dotKey.split('.')
+		const newPath = newDotKey.split('.')
+		const name = newPath.pop()
+
+		if(path.length - 1 != newPath.length || path.slice(0, -1).join('.') != newPath.join('.'))
+			return this.moveKey(dotKey, newDotKey)
+
+		if(!this.hasKey(dotKey))
+			return false
+
+		if(this.hasKey(newDotKey))
+			return {error: 'key already exist'}
+
+		const [key] = path
+		const idx = this.index[key]
+
+		const readOnly = this._readOnly(idx)
+		if(readOnly)
+			return readOnly
+
+		const section = this.tree[idx]
+		const parent = path.length > 1 ? this._walk(section.data[key], path.slice(1, -1)) : section.data
+
+		if(Array.isArray(parent))
+			return {error: 'not an object'}
+
+		this._record()
+
+		// rebuild parent object in the same order
+		const entries = Object.entries(parent).map(([prop, value]) => [prop == path[path.length - 1] ? name : prop, value])
+		for(const prop in parent)
+			delete parent[prop]
+		for(const [prop, value] of entries)
+			parent[prop] = value
+
+		this._migration__comments(idx, dotKey, idx, newDotKey)
+		this._rebuildIndex()
+
+		this._migration__log({type: 'rename', key: dotKey, to: newDotKey})
+		return true
+	}
+
+	moveKey(dotKey, newDotKey) {
+		/** Move key anywhere, into or out of objects, along with its comments.
+			Missing objects on the way are created, new top-level key gets own section.
+			  @return   (bool|obj) false if key does not exist, or error object
+		**/
+
+		if(!this.hasKey(dotKey))
+			return false
+
+		if(this.hasKey(newDotKey))
+			return {error: 'key already exist'}
+
+		const idx = this.index[dotKey.split('.')[0]]
+		const section = this.tree[idx]
+		const value = this._clone(this._walk(section.data, dotKey.split('.')))
+		const created = this.index[newDotKey.split('.')[0]] === undefined
+
+		const readOnly = this._readOnly(idx)
+		if(readOnly)
+			return readOnly
+
+		// both or none
+		return this.transaction(() => {
+
+			const set = this.set(newDotKey, value, {create:true})
+			if(set.error)
+				return set
+
+			// section comment goes along, if it's the only key there
+			const header = Object.keys(section.data).length == 1 && !dotKey.includes('.') ? section.comment : ''
+			const comments = this._migration__comments(idx, dotKey)
+
+			const deleted = this.delete(dotKey, true)
+			if(deleted.error)
+				return deleted
+
+			const newIdx = this.index[newDotKey.split('.')[0]]
+			for(const path in comments)
+				this.tree[newIdx].comments[newDotKey + path.slice(dotKey.length)] = comments[path]
+
+			if(header && created)
+				this.tree[newIdx].comment = header
+			else if(header)
+				this.tree[newIdx].comments[newDotKey] = header + (this.tree[newIdx].comments[newDotKey] || '')
+
+			// own comment of the first key belongs to section comment
+			this._liftComment(newIdx)
+
+			this._migration__log({type: 'move', key: dotKey, to: newDotKey})
+			return true
+		})
+	}
+
+	transformValue(dotKey, fn) {
+		/** Replace value with what fn returns
+			  :fn       (func) gets current value, returns new one
+			  @return   (bool|obj) false if key does not exist, or error object
+		**/
+
+		if(!this.hasKey(dotKey))
+			return false
+
+		const old = this.get(dotKey, null, {raw:true})
+		const value = fn(this._clone(old))
+
+		const set = this.set(dotKey, value)
+		if(set.error)
+			return set
+
+		this._migration__log({type: 'transform', key: dotKey, old, value})
+		return true
+	}
+
+	deprecate(dotKey, message='') {
+		/** Mark key as deprecated with a comment in front of it, value stays as it is
+			  :message?  (str) what to use instead, ie
+			  @return    (bool|obj) false if key does not exist, or error object
+		**/
+
+		if(!this.hasKey(dotKey))
+			return false
+
+		const comment = `deprecated${message ? ', ' + message : ''}`
+		const set = this.setComment(dotKey, comment, {own:true, add:true})
+		if(set && set.error)
+			return set
+
+		this._migration__log({type: 'deprecate', key: dotKey, message})
+		return true
+	}
+
+	_migration__comments(idx, dotKey, newIdx, newDotKey) {
+		/** Take comments of the key and everything within it out of the section.
+			With new section id and key given, put them there, under the new key.
+			  @return   (obj) comments taken, by their original path
+		**/
+
+		const comments = this.tree[idx].comments
+		const taken = {}
+
+		for(const path in comments){
+			if(path == dotKey || path.startsWith(dotKey + '.')){
+				taken[path] = comments[path]
+				delete comments[path]
+			}
+		}
+
+		if(newIdx !== undefined){
+			for(const path in taken)
+				this.tree[newIdx].comments[newDotKey + path.slice(dotKey.length)] = taken[path]
+		}
+
+		return taken
+	}
+
+	_migration__log(change) {
+		/** Add change to the report of running migration **/
+
+		if(this.migration)
+			this.migration.push(change)
+	}
+
+	// Misc
+
+	upgrade(param) {
+		/** Upgrade current instance to a new layout.
+			Does not save automatically.
+			  :param    (str|Comfig) file path or Comfig instance
+			  @return   (obj) report {dropped: [{key, value}]}, keys missing in the new layout,
+			            or error object if vetoed, or values don't fit the new layout
+		**/
+
+		let newComfig;
+
+		if(typeof param == 'string'){
+			// path to file
+			newComfig = new Comfig(param)
+		} else if(typeof param == 'object' && param.constructor.name == 'Comfig') {
+			// Comfig instance, synced as a copy so the caller's instance is left as it is,
+			// overrides are not applied again
+			newComfig = new Comfig(null, Object.assign({}, param.opts, {env: null, argv: null}))
+			newComfig.tree = this._clone(param.tree)
+			newComfig._rebuildIndex()
+		}
+
+		// keys with nowhere to go
+		const dropped = this.getKeys()
+			.filter(key => newComfig.index[key] === undefined)
+			.map(key => ({key, value: this._clone(this.tree[this.index[key]].data[key])}))
+
+		// ie schema violation, nothing is carried over then
+		const invalid = newComfig.sync(this.object(), {update:true})
+		if(invalid)
+			return invalid
+
+		const event = {old: this._data(), value: newComfig._data()}
+		const vetoed = this._veto('upgrade', event)
+		if(vetoed)
+			return vetoed
+
+		// swap local state
+		this.tree = this._adopt(newComfig.tree)
+
+		this._rebuildIndex()
+
+		this._mutated('upgrade', event)
+
+		return {dropped}
+	}
+
+	sync(obj, opts={}) {
+		/** Update local state with obj values.
+			Mode must be given, there is no default.
+			  :obj       (obj) object to update from, keys can be dotpaths
+			  :opts
+			   .update?  (bool) overwrite values of keys present in local
+			   .merge?   (bool) overwrite values, add new keys
+			   .mirror?  (bool) overwrite values, add new keys, remove local if not exist in object
+			                    mirror will also delete sections
+		**/
+
+		if(typeof obj !== 'object' || obj === null)
+			return {error: 'sync requires an object'}
+
+		// deprecated names become dotpaths to the new ones
+		if(this.opts.aliases){
+			const resolved = {}
+			for(const key in obj)
+				resolved[this._alias(key)] = obj[key]
+			obj = resolved
+		}
+
+		// overridden and resolved values are not taken in, original ones are kept instead
+		obj = this._sync__unoverride(this._sync__uninterpolate(obj))
+
+		const objKeys = Object.keys(obj).filter( key => key[0] != '$')
+
+		const invalid = this._sync__validate(objKeys, obj, opts)
+		if(invalid)
+			return invalid
+
+		if(!opts.update && !opts.merge && !opts.mirror)
+			return {error: 'sync mode not specified'}
+
+		const value = {}
+		for(const key of objKeys)
+			value[key] = obj[key]
+
+		const event = {mode: opts.update ? 'update' : opts.merge ? 'merge' : 'mirror', old: this._data(), value}
+		const vetoed = this._veto('sync', event)
+		if(vetoed)
+			return vetoed
+
+		// one event for the whole sync, not for each key
+		this._muted(() => this._sync__apply(objKeys, obj, opts))
+
+		this._rebuildIndex()
+
+		this._mutated('sync', event)
+	}
+
+	_sync__apply(objKeys, obj, opts) {
+		/** Apply sync in given mode, see .sync **/
+
+		if(opts.update){
+			// only update key values present in local state
+
+			for(const key of objKeys){
+				if(key.includes('.')){
+					// dotpath
+					if(this.hasKey(key))
+						this.set(key, obj[key])
+					continue
+				}
+
+				const idx = this.index[key]
+				if(idx !== undefined){
+					this.tree[idx].data[key] = obj[key]
+				}
+			}
+
+		} else if(opts.merge) {
+			// update key values, add new keys
+
+			this._sync__merge(objKeys, obj)
+
+		} else if(opts.mirror) {
+			// update values, add new keys, remove not present in object
+
+			this._sync__merge(objKeys, obj)
+
+			// dotpaths keep their top level key alive
+			const keepKeys = objKeys.map(key => key.split('.')[0])
+
+			for(const localKey of this.getKeys()){
+				if(!keepKeys.includes(localKey))
+					// not present in local, remove
+					// .delete rebuilds index automatically
+					this.delete(localKey, true)
+			}
+		}
+	}
+
+	_sync__unoverride(obj) {
+		/** Get copy of obj, where values equal to overrides are replaced with tree values **/
+
+		const keys = this._overriddenKeys().filter(key => key in obj)
+
+		if(!keys.length)
+			return obj
+
+		obj = Object.assign({}, obj)
+
+		for(const key of keys){
+
+			const idx = this.index[key]
+			const original = idx !== undefined ? this.tree[idx].data[key] : undefined
+
+			if(this._isEqual(obj[key], this._applyOverrides(key))){
+				// untouched, keep the original
+				if(original === undefined)
+					delete obj[key]
+				else
+					obj[key] = original
+				continue
+			}
+
+			let value = this._clone(obj[key])
+
+			for(const [dotKey, override] of Object.entries(this.getOverrides())){
+
+				const path = dotKey.split('.')
+				if(path.shift() != key)
+					continue
+
+				if(!path.length){
+					if(this._isEqual(value, override))
+						value = original
+					continue
+				}
+
+				const prop = path.pop()
+				const parent = this._walk(value, path)
+
+				if(!this._isContainer(parent) || !this._isEqual(parent[prop], override))
+					continue
+
+				const originalParent = this._walk(original, path)
+
+				if(this._isContainer(originalParent) && originalParent[prop] !== undefined)
+					parent[prop] = originalParent[prop]
+				else if(Array.isArray(parent))
+					parent.splice(prop, 1)
+				else
+					delete parent[prop]
+			}
+
+			if(value === undefined)
+				delete obj[key]
+			else
+				obj[key] = value
+		}
+
+		return obj
+	}
+
+	_sync__validate(objKeys, obj, opts) {
+		/** Validate values against the schema before anything is changed,
+			and make sure read-only keys stay as they are
+		**/
+
+		for(const key of this.getKeys()){
+			const readOnly = this._readOnly(this.index[key])
+			if(!readOnly)
+				continue
+
+			if(key in obj ? !this._isEqual(obj[key], this.get(key)) : opts.mirror)
+				return readOnly
+		}
+
+		if(!this.schema)
+			return
+
+		// update mode ignores keys missing in local state
+		if(opts.update)
+			objKeys = objKeys.filter(key => this.hasKey(key))
+
+		const violations = []
+		for(const key of objKeys)
+			violations.push(...this.schema.validateValue(key, obj[key]))
+
+		if(opts.mirror){
+			// keys about to be removed
+			const keepKeys = objKeys.map(key => key.split('.')[0])
+			for(const key in this.schema.rules){
+				if(this.schema.rules[key].required && !keepKeys.includes(key))
+					violations.push(this.schema.violation(key, 'required', 'key is required'))
+			}
+		}
+
+		if(violations.length)
+			return this._schemaError(violations)
+	}
+
+	_sync__merge(mergeKeys, obj) {
+
+		for(const key of mergeKeys){
+
+			if(key.includes('.')){
+				// dotpath, create as needed
+				this.set(key, obj[key], {create:true})
+				continue
+			}
+
+			const idx = this.index[key]
+			if(idx !== undefined){
+				// update
+				this.tree[idx].data[key] = obj[key]
+			} else {
+				// add
+				this.tree.push({comment: '', data:{
+					[key]: obj[key]
+				}, comments: {}})
+				this.index[key] = this.tree.length - 1
+			}
+		}
+	}
+
+	_adopt(tree) {
+		/** Take sections from elsewhere, those found here keep their handles, others get new ones, see ._rebuildIndex
+			  :tree     (arr) sections to take, handles of another instance are dropped
+			  @return   (arr) same tree
+		**/
+
+		for(const section of tree)
+			delete section.handle
+
+		for(const [idxOld, idxNew] of Comfig._diff__match(this, {tree}))
+			if(idxOld !== undefined && idxNew !== undefined)
+				tree[idxNew].handle = this.tree[idxOld].handle
+
+		return tree
+	}
+
+	_rebuildIndex() {
+		/** Rebuild index after manipulating the tree **/
+
+		this.index = {}
+
+		for(let idx=0; idx<this.tree.length; idx++){
+			for(const key in this.tree[idx].data)
+				this.index[key] = idx
+
+			// stable reference, survives moving sections around
+			if(!this.tree[idx].handle)
+				this.tree[idx].handle = `#${++this.handles}`
+		}
+	}
+}
+
+
+// override sources, later ones win
+Comfig.overrideSources = ['env', 'argv']
+
+
+// PARSER >>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>
+
+class ComfigParseError extends Error {
+
+	constructor(diagnostic) {
+		/** Malformed Comfig text
+			  :diagnostic  (obj) {code, message, line, column, snippet, file?}
+		**/
+
+		const where = `line ${diagnostic.line}, column ${diagnostic.column}` + (diagnostic.file ? ` of ${diagnostic.file}` : '')
+
+		super(`Comfig: ${diagnostic.message}, ${where}`)
+
+		this.name = 'ComfigParseError'
+		this.code = diagnostic.code
+		this.line = diagnostic.line
+		this.column = diagnostic.column
+		this.snippet = diagnostic.snippet
+		this.file = diagnostic.file
+	}
+}
+
+class ComfigParser {
+
+	constructor(text, opts={}) {
+
+		// byte order mark and line endings, text is read with \n only
+		this.bom = text.charCodeAt(0) == 0xFEFF
+		this.eol = ComfigParser.eol(text)
+
+		// input
+		this.text = (this.bom ? text.slice(1) : text).replace(/\r\n?/g, '\n')
+
+		this.opts = Object.assign({
+			comment: '■',	// marks comment lines within arrays
+			include: false,	// recognize @include directives
+			sectionNames: false,	// recognize @section directives
+			strict: false,	// throw ComfigParseError on the first problem, otherwise collect them
+			file: undefined,	// file the text comes from, for diagnostics
+			preserveFormat: false,	// remember raw lines in section .format, for the serializer
+		}, opts)
+
+		// state
+		this.section = null
+		this.sectionId = -1
+
+		// result
+		this.tree = []
+		this.object = {}
+		this.index = {}
+		this.lines = {}	// line number where each key, object key and array element begins
+		this.locations = {}	// {start, end, comment?} lines of each key, object key and array element
+		this.sectionLocations = new Map()	// {start, end, comment?} lines of each section
+		this.diagnostics = []	// problems found, in lenient mode
+		this.commentLines = []	// line numbers of comment lines
+
+		// fire away
+		this.parse()
+	}
+
+	parse() {
+
+		const regex = {
+			multistring: /^([\w_-]+)\s*[:=]\s*"""/,
+			array:       /^([\w_-]+)\s*[:=]\s*\[/,
+			object:      /^([\w_-]+)\s*[:=]\s*{/,
+			objectBody:  /^\s*([\w_-]+)\s*[:=]\s*(.*)/,
+			option:      /^([\w_-]+)\s*[:=]\s*(.*)/,
+			include:     /^@include\s+(.+)/,
+			name:        /^@section\s+([\w-]+)\s*$/,
+		}
+
+		this.resetSection()
+
+		const lines = this.textLines = this.text.split('\n')
+
+		// open objects and arrays, innermost last
+		const stack = []
+
+		let r, key, buffer, last, opened;
+
+		this.lineNo = 0
+
+		// blank lines before the first section, and the section they follow
+		this.lead = ''
+		this.lastSection = null
+
+		for(const line of lines){
+
+			const lean = line.trim()
+
+			this.lineNo ++
+			this.line = line
+
+			// newline ending the text is not a line of its own
+			if(this.lineNo == lines.length && line == '' && lines.length > 1)
+				break
+
+			// include directive, own section
+			if(this.opts.include && !stack.length && last != 'multistring' && (r = regex.include.exec(line))){
+				this.flush()
+				this.tree.push({comment: '', data: {}, comments: {}, include: r[1].trim()})
+				this.sectionLocations.set(this.tree[this.tree.length - 1], {start: this.lineNo, end: this.lineNo})
+
+				this.lastSection = this.tree[this.tree.length - 1]
+				if(this.opts.preserveFormat)
+					this.lastSection.format = {$include: line}
+
+				this.resetSection()
+				last = null
+				continue
+			}
+
+			// section name directive, starts a new section
+			if(this.opts.sectionNames && !stack.length && last != 'multistring' && (r = regex.name.exec(line))){
+				this.flush()
+
+				if(this.tree.some(section => section.name == r[1]))
+					this.problem('DUPLICATE_SECTION', `duplicate section name \`${r[1]}\``, line.indexOf(r[1]))
+
+				this.section.name = r[1]
+				this.keep('$name', line)
+				this.touch()
+				last = null
+				continue
+			}
+
+			// line belongs to current section
+			if(lean != '' || last == 'multistring')
+				this.touch()
+
+			// multistring, at any depth
+			if(last == 'multistring'){
+
+				if(lean != '"""') {
+					// body
+					buffer.push(line)
+
+				} else if(lean == '"""'){
+					// closing
+					this.keep(this.path(stack, key), {kind: 'multistring', value: buffer.join('\n'), tail: line})
+					this.addValue(stack, key, buffer.join('\n'))
+					last = null
+				}
+			}
+
+			// nested, inside object or array
+			else if(stack.length){
+
+				const frame = stack[stack.length - 1]
+				let val, offset;
+
+				if(lean == ''){
+					// blank lines are not significant here, but kept with the next item's comment
+					this.rawComment += line + '\n'
+					continue
+				}
+
+				if(Array.isArray(frame.value)){
+					// array element
+
+					if(lean == ']'){
+						// array, close
+						this.closeValue(stack)
+						continue
+					}
+
+					if(lean.startsWith(this.opts.comment)){
+						// array, comment
+						this.addComment(lean, true)
+						continue
+					}
+
+					key = String(frame.value.length)
+					val = lean
+					offset = line.search(/\S/)
+
+				} else {
+					// object property
+
+					if(lean == '}'){
+						// object, close
+						this.closeValue(stack)
+						continue
+					}
+
+					if(lean == ']')
+						this.problem('STRAY_CLOSER', 'stray closing `]`, object is open', line.indexOf(']'))
+
+					r = regex.objectBody.exec(line)
+					if(!r){
+						// object, comment
+						this.addComment(lean, true)
+						continue
+					}
+
+					key = r[1]
+					val = r[2].trim()
+
+					if(Object.prototype.hasOwnProperty.call(frame.value, key))
+						this.problem('DUPLICATE_KEY', `duplicate key \`${this.path(stack, key)}\``, line.indexOf(key))
+
+					// where the value begins
+					offset = line.length - r[2].length
+				}
+
+				// pending comment belongs to this item
+				this.begin(this.path(stack, key))
+				this.attachComment(this.path(stack, key))
+
+				if(val == '"""'){
+					// multistring, open
+					buffer = []
+					last = 'multistring'
+					opened = this.opener(line, '"""')
+				} else if(val == '['){
+					stack.push({key, value: [], ...this.opener(line, '[')})
+				} else if(val == '{'){
+					stack.push({key, value: {}, ...this.opener(line, '{')})
+				} else {
+					this.keep(this.path(stack, key), {kind: 'scalar', value: this.convertValue(val), offset})
+					this.addValue(stack, key, this.convertValue(val))
+				}
+			}
+
+			// blank line
+			else if(lean == ''){
+				// gap between blocks
+				if(last != 'blank')
+					this.flush()
+
+				if(this.opts.preserveFormat){
+					if(this.lastSection)
+						this.lastSection.format.$gap += line + '\n'
+					else
+						this.lead += line + '\n'
+				}
+
+				last = 'blank'
+			}
+
+			// multistring
+			else if(r = regex.multistring.exec(line)){
+				key = r[1]
+				last = 'multistring'
+				buffer = []
+				opened = this.opener(line, '"""')
+				this.begin(key)
+				this.attachComment(key)
+			}
+
+			// array
+			else if(r = regex.array.exec(line)){
+				stack.push({key: r[1], value: [], ...this.opener(line, '[')})
+				last = null
+				this.begin(r[1])
+				this.attachComment(r[1])
+			}
+
+			// object
+			else if(r = regex.object.exec(line)){
+				stack.push({key: r[1], value: {}, ...this.opener(line, '{')})
+				last = null
+				this.begin(r[1])
+				this.attachComment(r[1])
+			}
+
+			// primitives, single line
+			else if(r = regex.option.exec(line)){
+
+				const key = r[1]
+				this.begin(key)
+				const val = this.convertValue(r[2])
+				this.keep(key, {kind: 'scalar', value: val, offset: line.length - r[2].length})
+				this.addKey(key, val)
+				last = null
+
+			}
+
+			// comment
+			else {
+				if([']', '}', '"""'].includes(lean))
+					this.problem('STRAY_CLOSER', `stray closing \`${lean}\`, nothing is open`, line.indexOf(lean))
+
+				this.addComment(line)
+				last = null
+			}
+		}
+
+		// close whatever was left open, with what it has
+		if(last == 'multistring'){
+			this.problem('UNTERMINATED', 'unterminated multi-line string', opened.column - 1, opened.line)
+			this.addValue(stack, key, buffer.join('\n'))
+		}
+
+		while(stack.length){
+			const frame = stack[stack.length - 1]
+			this.problem('UNTERMINATED', `unterminated ${Array.isArray(frame.value) ? 'array' : 'object'}`, frame.column - 1, frame.line)
+			this.closeValue(stack)
+		}
+
+		this.flush()
+
+		// whole text, around the sections
+		if(this.opts.preserveFormat && this.tree.length){
+			this.tree[0].format.$lead = this.lead
+			this.tree[this.tree.length - 1].format.$newline = this.text.endsWith('\n')
+		}
+	}
+
+	opener(line, symbol) {
+		/** Position of opening symbol on current line, to report when it is not closed **/
+		return {line: this.lineNo, column: line.lastIndexOf(symbol) + 1}
+	}
+
+	problem(code, message, offset=0, lineNo=this.lineNo) {
+		/** Throw in strict mode, otherwise collect the problem and carry on
+			  :code     (str) DUPLICATE_KEY, DUPLICATE_SECTION, UNTERMINATED or STRAY_CLOSER
+			  :offset   (int) 0-based position within the line
+			  :lineNo   (int) 1-based line number, current line by default
+		**/
+
+		const diagnostic = {code, message, line: lineNo, column: offset + 1, snippet: this.textLines[lineNo - 1]}
+
+		if(this.opts.file)
+			diagnostic.file = this.opts.file
+
+		if(this.opts.strict)
+			throw new ComfigParseError(diagnostic)
+
+		this.diagnostics.push(diagnostic)
+	}
+
+	resetSection() {
+
+		this.sectionId ++
+
+		this.section = {
+			comment: '',
+			data: {},
+			comments: {},
+		}
+
+		// comment lines following a key, waiting for the item they precede
+		this.pendingComment = ''
+
+		// {start, end} lines of the section, its comment and pending comment
+		this.sectionLines = null
+		this.sectionComment = null
+		this.pendingLines = null
+
+		// raw lines of pending comment, blank ones included
+		this.rawComment = ''
+
+		if(this.opts.preserveFormat)
+			this.section.format = {}
+	}
+
+	touch() {
+		/** Extend current section to current line **/
+		this.sectionLines = {start: this.sectionLines ? this.sectionLines.start : this.lineNo, end: this.lineNo}
+	}
+
+	begin(path) {
+		/** Item starts on current line **/
+
+		// top level key seen before, the later one wins
+		if(!path.includes('.') && Object.prototype.hasOwnProperty.call(this.object, path)){
+			this.problem('DUPLICATE_KEY', `duplicate key \`${path}\``, this.line.indexOf(path))
+			this.dropKey(path)
+		}
+
+		this.keep(path, {head: this.line})
+		this.lines[path] = this.lineNo
+		this.locations[path] = {start: this.lineNo, end: this.lineNo}
+	}
+
+	flush(){
+		/** Add current section to the tree **/
+
+		// skip if current section is blank, so we don't create series of blank lines
+		if(this.section.comment == '' && Object.keys(this.section.data).length == 0 && !this.section.name)
+			return;
+
+		// comment after the last key
+		this.attachComment('$end')
+
+		const location = Object.assign({}, this.sectionLines)
+		if(this.sectionComment)
+			location.comment = this.sectionComment
+
+		// flush whatever there is
+		this.tree.push(this.section)
+		this.sectionLocations.set(this.section, location)
+		this.lastSection = this.section
+		this.keep('$gap', '')
+		this.resetSection()
+	}
+
+	addComment(comment, nested) {
+		/** Add comment line to section header, or collect it for the next item
+			  :comment  (str) comment line, nested ones come without indentation
+			  :nested   (bool) line is within object/array
+		**/
+
+		this.commentLines.push(this.lineNo)
+
+		if(nested || Object.keys(this.section.data).length){
+			this.pendingComment += comment + '\n'
+			this.rawComment += this.line + '\n'
+			this.pendingLines = {start: this.pendingLines ? this.pendingLines.start : this.lineNo, end: this.lineNo}
+		} else {
+			this.section.comment += comment + '\n'
+			this.sectionComment = {start: this.sectionComment ? this.sectionComment.start : this.lineNo, end: this.lineNo}
+		}
+	}
+
+	attachComment(path) {
+		/** Assign collected comment lines to the key, object key or array element that follows **/
+
+		if(this.pendingComment){
+			this.section.comments[path] = this.pendingComment
+			if(this.locations[path])
+				this.locations[path].comment = this.pendingLines
+		}
+
+		// attached once, top level keys get here again when closed
+		if(this.rawComment || !(this.section.format || {})[path] || !('before' in this.section.format[path]))
+			this.keep(path, {before: this.rawComment, comment: this.pendingComment || undefined})
+
+		this.pendingComment = ''
+		this.pendingLines = null
+		this.rawComment = ''
+	}
+
+	path(stack, key) {
+		/** Get dotpath of the item within open objects/arrays **/
+		return stack.map(frame => frame.key).concat(key).join('.')
+	}
+
+	closeValue(stack) {
+		/** Close innermost object/array and add it to its parent **/
+
+		// comment before closing bracket, trails the contents
+		this.attachComment(this.path(stack, '$end'))
+
+		const frame = stack.pop()
+		this.keep(this.path(stack, frame.key), {kind: Array.isArray(frame.value) ? 'array' : 'object', tail: this.line})
+		this.addValue(stack, frame.key, frame.value)
+	}
+
+	addValue(stack, key, value) {
+		/** Add value to the innermost open object/array, or to the section if there is none **/
+
+		// item ends on current line
+		const location = this.locations[this.path(stack, key)]
+		if(location)
+			location.end = this.lineNo
+
+		if(!stack.length)
+			return this.addKey(key, value)
+
+		const parent = stack[stack.length - 1].value
+
+		if(Array.isArray(parent))
+			parent.push(value)
+		else
+			parent[key] = value
+	}
+
+	addKey(key, value) {
+		this.attachComment(key)
+		this.section.data[key] = value
+		this.object[key] = value
+		this.index[key] = this.sectionId
+	}
+
+	keep(path, props) {
+		/** Remember raw formatting of the item, or section prop when path begins with $ **/
+
+		if(!this.opts.preserveFormat)
+			return
+
+		if(path.startsWith('$') && path != '$end')
+			this.section.format[path] = props
+		else
+			this.section.format[path] = Object.assign(this.section.format[path] || {}, props)
+	}
+
+	dropKey(key) {
+		/** Remove earlier occurrence of duplicate key, the later one wins **/
+
+		const idx = this.index[key]
+		const section = idx == this.sectionId ? this.section : this.tree[idx]
+
+		delete section.data[key]
+		delete this.object[key]
+		delete this.index[key]
+
+		for(const paths of [section.comments, section.format || {}, this.locations]){
+			for(const path in paths){
+				if(path == key || path.startsWith(key + '.'))
+					delete paths[path]
+			}
+		}
+
+		// nothing left of it, shift sections that follow
+		const blank = !section.comment && !section.name && !Object.keys(section.data).length && !Object.keys(section.comments).length
+		if(section != this.section && blank){
+			this.tree.splice(idx, 1)
+			this.sectionId --
+			for(const other in this.index){
+				if(this.index[other] > idx)
+					this.index[other] --
+			}
+		}
+	}
+
+	convertValue(val) {
+		return ComfigParser.convertValue(val)
+	}
+
+	static eol(text) {
+		/** Detect line ending, the most used one when they are mixed
+			  @return   (str|undefined) '\n', '\r\n' or '\r', undefined for a single line
+		**/
+
+		const counts = {}
+		for(const eol of text.match(/\r\n|\r|\n/g) || [])
+			counts[eol] = (counts[eol] || 0) + 1
+
+		let found;
+		for(const eol in counts){
+			if(found === undefined || counts[eol] > counts[found])
+				found = eol
+		}
+
+		return found
+	}
+
+	static convertValue(val) {
+		/** Convert text value to its type **/
+
+		val = val.trim()
+
+		if(/^\d+$/.test(val))
+			return parseInt(val)
+		else if(/^\d+\.\d+$/.test(val))
+			return parseFloat(val)
+		else if('true' == val)
+			return true
+		else if('false' == val)
+			return false
+		else if('null' == val || 'undefined' == val || '' == val)
+			return null
+		else
+			return val
+	}
+}
+
+
+// SERIALIZER >>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>
+
+class ComfigSerializer {
+
+	constructor(tree, opts={}) {
+
+		this.tree = tree
+		this.text = null
+
+		this.opts = Object.assign({
+			assign: ': ',
+			indent: '\t',
+			comment: '■',
+			sectionNames: false,
+			preserveFormat: false,	// use raw lines remembered by the parser, for items that did not change
+			eol: '\n',
+			bom: false,
+		}, opts)
+
+		this.serialize()
+	}
+
+	serialize() {
+
+		const lines = []
+		let exact;
+
+		this.tree.forEach((section, idx) => {
+
+			// raw lines, when preserving format
+			const format = this.format = (this.opts.preserveFormat && section.format) || {}
+			const last = idx == this.tree.length - 1
+
+			if(idx == 0 && format.$lead)
+				lines.push(format.$lead)
+
+			if(section.include)
+				lines.push(format.$include !== undefined ? `${format.$include}\n` : `@include ${section.include}\n`)
+
+			if(section.name && this.opts.sectionNames)
+				lines.push(format.$name !== undefined && format.$name.includes(section.name) ? `${format.$name}\n` : `@section ${section.name}\n`)
+
+			if(section.comment)
+				lines.push(section.comment)
+
+			// comments within objects and arrays
+			this.comments = section.comments || {}
+
+			for(const key in section.data){
+				const invalid = ComfigSerializer.invalidValue(section.data[key], this.opts.comment)
+				if(invalid)
+					throw new Error(`Comfig: ${invalid}`)
+
+				lines.push(this.serializeValue(key, section.data[key], 0, key))
+			}
+
+			// comment after the last key
+			const end = this.serializeComment('$end', '')
+			if(end)
+				lines.push(end)
+
+			// delimit section, with blank lines it had, the last one keeps those ending the text,
+			// directive starts next section without them
+			const next = this.tree[idx + 1]
+			const directive = next && (next.include || (next.name && this.opts.sectionNames))
+
+			if(last && '$newline' in format){
+				exact = format
+				lines.push(format.$gap)
+			} else if(format.$gap !== undefined && (format.$gap.includes('\n') || directive)){
+				lines.push(format.$gap)
+			} else {
+				lines.push('\n')
+			}
+		})
+
+		// remove last elem, it's a newline
+		while(!exact && lines.length && lines[ lines.length - 1 ].trim() == '')
+			lines.pop()
+
+		this.text = lines.join('')
+
+		if(exact && !exact.$newline)
+			this.text = this.text.replace(/\n$/, '')
+
+		if(this.opts.eol != '\n')
+			this.text = this.text.replace(/\n/g, this.opts.eol)
+
+		if(this.opts.bom)
+			this.text = '\uFEFF' + this.text
+
+		return this.text
+	}
+
+	serializeValue(key, value, depth, path) {
+		/** Serialize key-value pair, nested values are serialized recursively
+			  :key      (str|null) key name, null for array elements
+			  :value    (any) value to serialize
+			  :depth    (int) nesting level, controls indentation
+			  :path     (str) dotpath of the value, to look up comments
+			  @return   (str) serialized lines, newline terminated
+		**/
+
+		const {assign, indent} = this.opts
+
+		// raw lines of the item, used while it is the same kind of value
+		const format = this.format[path] || {}
+
+		// line breaks within strings are written with the line ending of the file
+		if(typeof value == 'string')
+			value = value.replace(/\r\n?/g, '\n')
+
+		const pad = indent.repeat(depth)
+		const comment = this.serializeComment(path, pad)
+		const head = comment + (key === null ? pad : `${pad}${key}${assign}`)
+		const end = this.serializeComment(`${path}.$end`, pad + indent)
+
+		if(Array.isArray(value)){
+			// array
+			const body = value.map((elem, i) => this.serializeValue(null, elem, depth + 1, `${path}.${i}`))
+			return format.kind == 'array'
+				? `${comment}${format.head}\n${body.join('')}${end}${format.tail}\n`
+				: `${head}[\n${body.join('')}${end}${pad}]\n`
+
+		} else if(typeof value == 'object' && value != null) {
+			// object
+			const body = []
+			for(const skey in value)
+				body.push(this.serializeValue(skey, value[skey], depth + 1, `${path}.${skey}`))
+
+			return format.kind == 'object'
+				? `${comment}${format.head}\n${body.join('')}${end}${format.tail}\n`
+				: `${head}{\n${body.join('')}${end}${pad}}\n`
+
+		} else if(typeof value == 'string' && (value.indexOf('\n') > -1 || (format.kind == 'multistring' && value === format.value))) {
+			// multiline string, body is never indented
+			return format.kind == 'multistring'
+				? `${comment}${format.head}\n${value}\n${format.tail}\n`
+				: `${head}"""\n${value}\n${pad}"""\n`
+
+		} else {
+			// primitives, single line
+			if(value === undefined) value = null
+
+			// same value as read, or new one with the spacing it had
+			if(format.kind == 'scalar')
+				return comment + (value === format.value ? format.head : format.head.slice(0, format.offset) + value) + '\n'
+
+			return `${head}${value}\n`
+		}
+	}
+
+	serializeComment(path, pad) {
+		/** Get indented comment preceding the item
+			  @return   (str) comment lines or empty string
+		**/
+
+		// unchanged, as it was read, with blank lines within objects and arrays
+		const format = this.format[path]
+		if(format && 'before' in format && format.comment === this.comments[path])
+			return format.before
+
+		// changed, blank lines before it and indentation of the item stay
+		let blank = ''
+		if(format && 'before' in format){
+			blank = /^([ \t]*\n)*/.exec(format.before)[0]
+			if(format.head)
+				pad = /^[ \t]*/.exec(format.head)[0]
+		}
+
+		if(!this.comments[path])
+			return blank
+
+		return blank + this.comments[path]
+				.replace(/\n$/, '')
+				.split('\n')
+				.map(line => pad + line + '\n')
+				.join('')
+	}
+
+	static invalidValue(value, comment, inArray) {
+		/** Check if value can be serialized and read back.
+			Objects and arrays are checked recursively.
+			  :value    (any) value to check
+			  :comment  (str) comment symbol, array elements cannot begin with it
+			  :inArray  (bool) value is an array element
+			  @return   (str|undefined) error message, if invalid
+		**/
+
+		if(Array.isArray(value)) {
+
+			for(const elem of value){
+				const invalid = ComfigSerializer.invalidValue(elem, comment, true)
+				if(invalid)
+					return invalid
+			}
+
+		} else if(typeof value == 'object' && value != null) {
+
+			for(const key in value){
+				if(!/^[\w-]+$/.test(key))
+					return `invalid object key "${key}", use letters, numbers, _ and - only`
+
+				const invalid = ComfigSerializer.invalidValue(value[key], comment)
+				if(invalid)
+					return invalid
+			}
+
+		} else if(typeof value == 'string') {
+
+			if(/[\r\n]/.test(value)){
+				if(value.split(/\r\n?|\n/).some(line => line.trim() == '"""'))
+					return 'invalid multiline string, cannot contain a line with """ only'
+
+			} else if(['{', '[', '"""'].includes(value.trim()) || (inArray && value.trim() == ']')) {
+				return `invalid value "${value}", reserved for objects, arrays and multiline strings`
+
+			} else if(inArray && comment && value.trim().startsWith(comment)) {
+				return `invalid array element "${value}", cannot begin with comment symbol`
+			}
+		}
+	}
+}
+
+
+// SCHEMA >>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>
+
+class ComfigSchema {
+
+	constructor(schema) {
+
+		/** Schema is an object of rules, keyed by top level key.
+			Rule properties, all optional:
+			  .type         (str|arr) string, number, integer, boolean, null, object, array or any
+			  .required     (bool) key must be present
+			  .default      (any) value used when key is missing
+			  .enum         (arr) allowed values
+			  .min/.max     (num) number range, or length of string/array
+			  .pattern      (str|RegExp) strings must match
+			  .description  (str) what the key is for
+			  .group        (str) keys of the same group share a section, see Comfig.fromSchema
+			  .properties   (obj) rules for object keys, other keys are not allowed
+			  .items        (obj) rule for array elements
+		**/
 
-		if(!this._commonArrays(Object.keys(item), newOrder))
-			return {error: 'invalid new order array'}
+		if(typeof schema != 'object' || schema === null)
+			throw new Error('Comfig: invalid schema, must be an object of rules')
 
-		const data = {}
-		for(const key of newOrder)
-			data[key] = this.tree[idx].data[key]
+		this.rules = schema
 
-		this.tree[idx].data = data
+		this.checkRules(schema, '')
 	}
 
-	deleteSection(idx) {
+	checkRules(rules, prefix) {
+		/** Throw on malformed rules, recursively **/
 
-		if(!this.tree[idx])
-			return {error: 'invalid section id'}
+		for(const key in rules){
+			const rule = rules[key]
+			const dotKey = prefix + key
 
-		this.tree.splice(idx, 1)
+			if(typeof rule != 'object' || rule === null)
+				throw new Error(`Comfig: invalid schema rule for "${dotKey}", must be an object`)
 
-		this._rebuildIndex()
-	}
+			for(const type of this.types(rule)){
+				if(!ComfigSchema.types.includes(type))
+					throw new Error(`Comfig: invalid schema type "${type}" for "${dotKey}"`)
+			}
 
-	_commonArrays(arr1, arr2) {
-		/** Check if both arrays include same items, no matter the order **/
-		return arr1.filter(item => arr2.includes(item)).length === arr2.length
+			if(rule.properties)
+				this.checkRules(rule.properties, dotKey + '.')
+
+			if(rule.items)
+				this.checkRules({'*': rule.items}, dotKey + '.')
+		}
 	}
 
-	// Misc
+	types(rule) {
+		/** Get rule types as an array **/
 
-	upgrade(param) {
-		/** Upgrade current instance to a new layout.
-			Does not save automatically.
-			  :param  (str|Comfig) file path or Comfig instance
+		if(rule.type === undefined)
+			return ['any']
+
+		return Array.isArray(rule.type) ? rule.type : [rule.type]
+	}
+
+	rule(dotKey) {
+		/** Get rule for given dotpath
+			  @return   (obj|null|undefined) rule, null if key is not allowed, undefined if not described
 		**/
 
-		let newComfig;
+		let rules = this.rules
+		let rule;
 
-		if(typeof param == 'string'){
-			// path to file
-			newComfig = new Comfig(param)
-		} else if(typeof param == 'object' && param.constructor.name == 'Comfig') {
-			// Comfig instance
-			newComfig = param
-		}
+		for(const segment of dotKey.split('.')){
 
-		newComfig.sync(this.object(), {update:true})
+			if(rule && rule.items){
+				// array element
+				rule = rule.items
+				rules = rule.properties
+				continue
+			}
 
-		// swap local state
-		this.tree = newComfig.tree
+			if(!rules)
+				// parent without properties, anything goes
+				return undefined
 
-		this._rebuildIndex()
-	}
+			if(!Object.prototype.hasOwnProperty.call(rules, segment))
+				return null
 
-	sync(obj, opts={}) {
-		/** Update local state with obj values.
-			Mode must be given, there is no default.
-			  :obj       (obj) object to update from
-			  :opts
-			   .update?  (bool) overwrite values of keys present in local
-			   .merge?   (bool) overwrite values, add new keys
-			   .mirror?  (bool) overwrite values, add new keys, remove local if not exist in object
-			                    mirror will also delete sections
-		**/
+			rule = rules[segment]
+			rules = rule.properties
+		}
 
-		if(typeof obj !== 'object' || obj === null)
-			return {error: 'sync requires an object'}
+		return rule
+	}
 
-		const objKeys = Object.keys(obj).filter( key => key[0] != '$')
+	default(dotKey) {
+		/** Get default value for given dotpath **/
 
-		if(opts.update){
-			// only update key values present in local state
+		const rule = this.rule(dotKey)
 
-			for(const key in obj){
-				const idx = this.index[key]
-				if(idx !== undefined){
-					this.tree[idx].data[key] = obj[key]
-				}
-			}
+		if(rule)
+			return rule.default
+	}
 
-		} else if(opts.merge) {
-			// update key values, add new keys
+	validate(data) {
+		/** Validate all top level keys
+			  :data     (obj) key-value pairs
+			  @return   (arr) violations, empty when valid
+		**/
 
-			this._sync__merge(objKeys, obj)
+		return this.checkObject(this.rules, data, '')
+	}
 
-		} else if(opts.mirror) {
-			// update values, add new keys, remove not present in object
+	validateValue(dotKey, value) {
+		/** Validate value about to be set at given dotpath
+			  @return   (arr) violations, empty when valid
+		**/
 
-			this._sync__merge(objKeys, obj)
+		const rule = this.rule(dotKey)
 
-			for(const localKey of this.getKeys()){
-				if(!objKeys.includes(localKey))
-					// not present in local, remove
-					// .delete rebuilds index automatically
-					this.delete(localKey, true)
-			}
+		if(rule === null)
+			return [this.violation(dotKey, 'unknown', 'key is not described by the schema', value)]
 
-		} else {
-			return {error: 'sync mode not specified'}
-		}
+		const violations = []
 
-		this._rebuildIndex()
+		if(rule)
+			this.check(rule, value, dotKey, violations)
+
+		return violations
 	}
 
-	_sync__merge(mergeKeys, obj) {
+	checkObject(rules, obj, prefix) {
+		/** Check object keys against rules, report missing and unknown keys **/
 
-		for(const key of mergeKeys){
-			const idx = this.index[key]
-			if(idx !== undefined){
-				// update
-				this.tree[idx].data[key] = obj[key]
+		const violations = []
+
+		for(const key in rules){
+			if(obj[key] === undefined){
+				if(rules[key].required)
+					violations.push(this.violation(prefix + key, 'required', 'key is required'))
 			} else {
-				// add
-				this.tree.push({comment: '', data:{
-					[key]: obj[key]
-				}})
+				this.check(rules[key], obj[key], prefix + key, violations)
 			}
 		}
+
+		for(const key in obj){
+			if(!Object.prototype.hasOwnProperty.call(rules, key))
+				violations.push(this.violation(prefix + key, 'unknown', 'key is not described by the schema', obj[key]))
+		}
+
+		return violations
 	}
 
-	_rebuildIndex() {
-		/** Rebuild index after manipulating the tree **/
+	check(rule, value, dotKey, violations) {
+		/** Check single value against rule, objects and arrays are checked recursively **/
 
-		this.index = {}
+		const types = this.types(rule)
+		const type = ComfigSchema.typeOf(value)
 
-		for(let idx=0; idx<this.tree.length; idx++){
-			for(const key in this.tree[idx].data)
-				this.index[key] = idx
+		if(!types.includes('any') && !types.includes(type) && !(type == 'integer' && types.includes('number'))){
+			violations.push(this.violation(dotKey, 'type', `expected ${types.join(' or ')}, got ${type}`, value))
+			return
 		}
-	}
-}
 
+		if(rule.enum && !rule.enum.includes(value))
+			violations.push(this.violation(dotKey, 'enum', `expected one of: ${rule.enum.join(', ')}`, value))
 
-// PARSER >>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>
+		const size = typeof value == 'number'
+			? value
+			: (typeof value == 'string' || Array.isArray(value)) ? value.length : undefined
 
-class ComfigParser {
+		if(size !== undefined){
+			const what = typeof value == 'number' ? 'value' : 'length'
 
-	constructor(text) {
+			if(rule.min !== undefined && size < rule.min)
+				violations.push(this.violation(dotKey, 'min', `${what} must be at least ${rule.min}`, value))
 
-		// input
-		this.text = text.replace('\r', '')
+			if(rule.max !== undefined && size > rule.max)
+				violations.push(this.violation(dotKey, 'max', `${what} must be at most ${rule.max}`, value))
+		}
 
-		// state
-		this.section = null
-		this.sectionId = -1
+		if(rule.pattern && typeof value == 'string' && !new RegExp(rule.pattern).test(value))
+			violations.push(this.violation(dotKey, 'pattern', `must match ${rule.pattern}`, value))
 
-		// result
-		this.tree = []
-		this.object = {}
-		this.index = {}
+		if(rule.properties && type == 'object')
+			violations.push(...this.checkObject(rule.properties, value, dotKey + '.'))
 
-		// fire away
-		this.parse()
+		if(rule.items && type == 'array')
+			value.forEach((elem, i) => this.check(rule.items, elem, `${dotKey}.${i}`, violations))
 	}
 
-	parse() {
+	violation(key, code, error, value) {
+		/** Describe single problem **/
+		return {key, code, error, value}
+	}
 
-		const regex = {
-			multistring: /^([\w_-]+)\s*[:=]\s* """/,
-			array:       /^([\w_-]+)\s*[:=]\s*\[/,
-			object:      /^([\w_-]+)\s*[:=]\s*{/,
-			objectBody:  /^\s+([\w_-]+)\s*[:=]\s*(.*)/,
-			option:      /^([\w_-]+)\s*[:=]\s*(.*)/,
-		}
+	static typeOf(value) {
+		/** Get schema type of the value **/
 
-		this.resetSection()
+		if(value === null || value === undefined)
+			return 'null'
+		else if(Array.isArray(value))
+			return 'array'
+		else if(Number.isInteger(value))
+			return 'integer'
+		else
+			return typeof value
+	}
+}
 
-		const lines = this.text.split('\n')
+ComfigSchema.types = ['string', 'number', 'integer', 'boolean', 'null', 'object', 'array', 'any']
 
-		let r, key, buffer, last;
 
-		for(const line of lines){
+// STACK >>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>
 
-			const lean = line.trim()
+class ComfigStack {
 
-			// blank line
-			if(lean == ''){
+	constructor(filePaths, opts={}) {
 
-				if(last == 'multistring'){
-					// part of multistring
-					buffer.push(line)
+		/** Layered config, made of several files.
+			First file is the bottom layer, ie defaults, last one is the top, ie local.
+			Reads resolve top-down, writes go to a single layer.
+			  :filePaths  (arr) files, bottom layer first, missing files are empty layers
+			  :opts       (obj) instance options, plus:
+			   .write?    (int|str) layer to write to, index or file path {top layer}
+		**/
 
-				} else {
-					// gap between blocks
-					if(last != 'blank')
-						this.flush()
+		if(!Array.isArray(filePaths) || !filePaths.length)
+			throw new Error('Comfig: stack requires an array of file paths')
 
-					last = 'blank'
-				}
-			}
+		// overrides belong to a single instance
+		const layerOpts = Object.assign({}, opts, {env: null, argv: null})
+		delete layerOpts.write
 
-			// multistring
-			else if(r = regex.multistring.exec(line)){
-				key = r[1]
-				last = 'multistring'
-				buffer = []
+		this.layers = filePaths.map(filePath => new Comfig(filePath, layerOpts))
 
-			}
-			else if(last == 'multistring'){
+		this.writeLayer = this.layer(opts.write !== undefined ? opts.write : this.layers.length - 1)
 
-				if(lean != '"""') {
-					// body
-					buffer.push(line)
+		if(!this.writeLayer)
+			throw new Error('Comfig: invalid .write opt, no such layer')
+	}
 
-				} else if(lean == '"""'){
-					// closing
-					this.addKey(key, buffer.join('\n'))
-					last = null
-				}
+	layer(id) {
+		/** Get layer instance
+			  :id?      (int|str) layer index or file path, write layer if omitted
+			  @return   (Comfig|undefined)
+		**/
 
-			}
+		if(id === undefined)
+			return this.writeLayer
 
-			// array
-			else if(r = regex.array.exec(line)){
-				key = r[1]
-				buffer = []
-				last = 'array'
+		if(Number.isInteger(id))
+			return this.layers[id]
 
-			} else if(last == 'array'){
+		return this.layers.find(layer => layer.file == id)
+	}
 
-				if(lean != ']'){
-					// array, data
-					buffer.push(this.convertValue(line))
+	useLayer(id) {
+		/** Change layer to write to **/
 
-				} else if(lean == ']'){
-					// array, close
-					this.addKey(key, buffer)
-					last = null
-				}
+		const layer = this.layer(id)
 
-			}
+		if(!layer)
+			return {error: 'invalid layer'}
 
-			// object
-			else if(r = regex.object.exec(line)){
-				key = r[1]
-				buffer = {}
-				last = 'object'
+		this.writeLayer = layer
+	}
 
-			} else if(last == 'object'){
+	// Read
 
-				if(lean != '}'){
-					// object, body
-					r = regex.objectBody.exec(line)
-					buffer[ r[1] ] = this.convertValue(r[2])
+	get(dotKey, dflt) {
+		/** Get value from the top-most layer that has it.
+			Objects are merged across layers, upper keys win.
+		**/
 
-				} else if(lean == '}'){
-					// object, close
-					this.addKey(key, buffer)
-					last = null
-				}
+		const values = this.layers
+			.filter(layer => layer.hasKey(dotKey))
+			.map(layer => layer.get(dotKey))
 
-			}
+		if(!values.length)
+			// default, or schema default
+			return this.layers[0].get(dotKey, dflt)
 
-			// primitives, single line
-			else if(r = regex.option.exec(line)){
+		return values.reduce((lower, upper) => this._merge(lower, upper))
+	}
 
-				const key = r[1]
-				const val = this.convertValue(r[2])
-				this.addKey(key, val)
-				last = null
+	hasKey(dotKey) {
+		/** Check if any layer has the key **/
+		return this.layers.some(layer => layer.hasKey(dotKey))
+	}
 
-			}
+	getKeys() {
+		/** Get top level keys of all layers **/
 
-			// comment
-			else {
-				this.addComment(line)
-				last = null
+		const keys = []
+		for(const layer of this.layers){
+			for(const key of layer.getKeys()){
+				if(!keys.includes(key))
+					keys.push(key)
 			}
 		}
 
-		this.flush()
+		return keys
 	}
 
-	resetSection() {
+	object() {
+		/** Get effective config as a plain object **/
 
-		this.sectionId ++
+		const obj = {}
+		for(const key of this.getKeys())
+			obj[key] = this.get(key)
 
-		this.section = {
-			comment: '',
-			data: {},
-		}
+		return obj
 	}
 
-	flush(){
-		/** Add current section to the tree **/
+	whereIs(dotKey) {
+		/** Find where the effective value comes from
+			  @return   (obj|undefined) {layer, file, line}, line as the layer would be saved, see Comfig.getLocation
+		**/
 
-		// skip if current section is blank, so we don't create series of blank lines
-		if(this.section.comment == '' && Object.keys(this.section.data).length == 0)
-			return;
+		for(let i=this.layers.length-1; i>=0; i--){
+			const layer = this.layers[i]
 
-		// flush whatever there is
-		this.tree.push(this.section)
-		this.resetSection()
+			if(layer.hasKey(dotKey)){
+				const location = layer.getLocation(dotKey)
+				return {layer: i, file: layer.file, line: location && location.start}
+			}
+		}
 	}
 
-	addComment(comment) {
-		this.section.comment += comment + '\n'
-	}
+	validate() {
+		/** Validate effective config against the schema **/
 
-	addKey(key, value) {
-		this.section.data[key] = value
-		this.object[key] = value
-		this.index[key] = this.sectionId
-	}
+		const schema = this.layers[0].schema
 
-	convertValue(val) {
+		return schema ? schema.validate(this.object()) : []
+	}
 
-		val = val.trim()
+	// Write
 
-		if(/^\d+$/.test(val))
-			return parseInt(val)
-		else if(/^\d+\.\d+$/.test(val))
-			return parseFloat(val)
-		else if('true' == val)
-			return true
-		else if('false' == val)
-			return false
-		else if('null' == val || 'undefined' == val || '' == val)
-			return null
-		else
-			return val
-	}
-}
+	set(dotKey, value, opts={}) {
+		/** Set value in the write layer, or the one given.
+			Keys existing in any layer can be set without .create opt.
+			  :opts     see Comfig.set, plus:
+			   .layer?  (int|str) layer to write to
+		**/
 
+		const layer = this.layer(opts.layer)
 
-// SERIALIZER >>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>
+		if(!layer)
+			return {error: 'invalid layer'}
 
-class ComfigSerializer {
+		return layer.set(dotKey, value, Object.assign({}, opts, {create: opts.create || this.hasKey(dotKey)}))
+	}
 
-	constructor(tree, opts={}) {
+	delete(dotKey, opts={}) {
+		/** Delete key from the write layer, or the one given.
+			Lower layers still provide their value.
+		**/
 
-		this.tree = tree
-		this.text = null
+		const layer = this.layer(opts.layer)
 
-		this.opts = Object.assign({
-			assign: ': ',
-			indent: '\t',
-		}, opts)
+		if(!layer)
+			return {error: 'invalid layer'}
 
-		this.serialize()
+		return layer.delete(dotKey, opts.removeComment)
 	}
 
-	serialize() {
-
-		const {assign, indent} = this.opts
+	async save(id) {
+		/** Save write layer, or the one given, other files are not touched **/
 
-		const lines = []
-		for(const section of this.tree){
+		const layer = this.layer(id)
 
-			if(section.comment)
-				lines.push(section.comment)
+		if(!layer)
+			return {error: 'invalid layer'}
 
-			for(const key in section.data){
+		return layer.save()
+	}
 
-				if(Array.isArray(section.data[key])){
-					// array
-					const body = []
-					const elems = section.data[key].map(val => indent + val).join('\n')
-					for(const value of section.data[key]) {
-						this.throwOnInvalidSubkey(value)
-						body.push(`${indent}${value}`)
-					}
-					lines.push(`${key}${assign}[\n${body.join('\n')}\n]\n`)
-
-				} else if(typeof section.data[key] == 'object' && section.data[key] != null) {
-					// object
-					const body = []
-					for(const skey in section.data[key]){
-						this.throwOnInvalidSubkey(section.data[key][skey])
-						body.push(`${indent}${skey}${assign}${section.data[key][skey]}`)
-					}
+	saveSync(id) {
+		/** Save write layer, or the one given, synchronously **/
 
-					lines.push(`${key}${assign}{\n${body.join('\n')}\n}\n`)
+		const layer = this.layer(id)
 
-				} else if(typeof section.data[key] == 'string' && section.data[key].indexOf('\n') > -1) {
-					// multiline string
-					lines.push(`${key}${assign}"""\n${section.data[key]}\n"""\n`)
+		if(!layer)
+			return {error: 'invalid layer'}
 
-				} else {
-					// primitives, single line
-					let val = section.data[key]
-					if(val === undefined) val = null
-					lines.push(`${key}${assign}${val}\n`)
-				}
-			}
+		return layer.saveSync()
+	}
 
-			// delimit section
-			lines.push('\n')
-		}
+	_merge(lower, upper) {
+		/** Deep merge objects, arrays and other values are replaced **/
 
-		// remove last elem, it's a newline
-		while(lines[ lines.length - 1 ] == '\n')
-			lines.pop()
+		const isObject = value => typeof value == 'object' && value != null && !Array.isArray(value)
 
-		this.text = lines.join('')
+		if(!isObject(lower) || !isObject(upper))
+			return upper
 
-		return this.text
-	}
+		const merged = Object.assign({}, lower)
+		for(const key in upper)
+			merged[key] = this._merge(lower[key], upper[key])
 
-	throwOnInvalidSubkey(data) {
-		if( (typeof data == 'object' && data != null)
-		|| (Array.isArray(data))
-		|| (typeof data == 'string' && data.includes('\n')) ) {
-			throw new Error('Comfig: invalid object value, deep objects, arrays and multiline strings are not allowed')
-		}
+		return merged
 	}
 }
 
@@ -964,4 +4794,7 @@ module.exports = function(filePath, opts){
 }
 module.exports.Comfig = Comfig
 module.exports.Parser = ComfigParser
+module.exports.ParseError = ComfigParseError
 module.exports.Serializer = ComfigSerializer
+module.exports.Schema = ComfigSchema
+module.exports.Stack = ComfigStack
@@ -23,6 +23,13 @@ function test(title, fn){
 	fn()
 }
 
+// async tests are awaited in order, after the synchronous ones
+const awaited = []
+
+function testAsync(title, fn){
+	awaited.push({title, fn, indent})
+}
+
 
 
 const Comfig = require('./index.js')
@@ -240,14 +247,15 @@ section('data', function(){
 		Equal(Comf.get('del3'), undefined)
 	})
 
-	test('subkey can be primitive only', function(){
-		ErrObj(Comf.set('key11.ddd', {a:1}, {create:true})) // create
-		ErrObj(Comf.set('key11.bbb', {a:1})) // update
+	test('subkey value must be serializable', function(){
+		ErrObj(Comf.set('key11.ddd', {'a.b':1}, {create:true})) // create
+		ErrObj(Comf.set('key11.bbb', 'x\n"""\ny')) // update
+		ErrObj(Comf.set('key12.0', '{')) // reserved
 	})
 
-	test('serializer throws on deep objects', function(){
+	test('serializer throws on invalid nested values', function(){
 		c = Comfig('~willnotcreate.config')
-		c.A = {B:{C:1}}
+		c.A = {B:{'C D':1}}
 		Throws( () => c.$saveSync() )
 	})
 })
@@ -514,9 +522,2202 @@ section('sync', function(){
 	})
 })
 
-//
-// 	The End
-//
+section('nesting', function(){
+
+	const text = [
+		'db: {',
+		'\thost: localhost',
+		'\treplicas: [',
+		'\t\t{',
+		'\t\t\thost: replica1',
+		'\t\t\tport: 5432',
+		'\t\t}',
+		'\t\t[',
+		'\t\t\tnested',
+		'\t\t]',
+		'\t\t"""',
+		'multi',
+		'  line',
+		'\t\t"""',
+		'\t]',
+		'\tnote: """',
+		'white',
+		'\tspace',
+		'\t"""',
+		'}',
+	].join('\n')
+
+	test('parse', function(){
+		Comf = new Comfig.Comfig()
+		Comf.import(text)
+
+		Equal(Comf.get('db.host'), 'localhost')
+		Equal(Comf.get('db.replicas.0.host'), 'replica1')
+		Equal(Comf.get('db.replicas.0.port'), 5432)
+		Equal(Comf.get('db.replicas.1.0'), 'nested')
+		Equal(Comf.get('db.replicas.2'), 'multi\n  line')
+		Equal(Comf.get('db.note'), 'white\n\tspace')
+		Equal(Comf.get('db.replicas.9.host', 'dflt'), 'dflt')
+		Equal(Comf.get('db.host.deeper', 'dflt'), 'dflt')
+	})
+
+	test('serialize round-trip', function(){
+		Equal(Comf.serialize(), text + '\n')
+	})
+
+	test('indent at each level', function(){
+		Comf.opts.indent = '  '
+		Equal(Comf.serialize().split('\n')[5], '      port: 5432')
+		Comf.opts.indent = '\t'
+	})
+
+	test('set', function(){
+		Equal(Comf.set('db.replicas.0.port', 6543), 0)
+		Equal(Comf.get('db.replicas.0.port'), 6543)
+
+		// replace with deep value
+		Comf.set('db.replicas.1', {list:[1, {two:2}]})
+		Equal(Comf.get('db.replicas.1.list.1.two'), 2)
+	})
+
+	test('set errors', function(){
+		ErrObj(Comf.set('db.pool.size', 10)) // missing intermediate
+		ErrObj(Comf.set('db.host.name', 'x')) // not a container
+
+		// arrays take existing or next index only
+		ErrObj(Comf.set('db.replicas.9', 'z'))
+		ErrObj(Comf.set('db.replicas.foo', 1))
+		ErrObj(Comf.set('db.replicas.foo.x', 1, {create:true}))
+		Equal(Comf.get('db.replicas').length, 3)
+		Equal(Comf.hasKey('db.replicas.foo'), false)
+	})
+
+	test('set create', function(){
+		Equal(Comf.set('db.pool.size', 10, {create:true}), 0)
+		Equal(Comf.get('db.pool.size'), 10)
+
+		Equal(Comf.set('cache.redis.port', 6379, {create:true}), 1)
+		Equal(Comf.get('cache.redis.port'), 6379)
+	})
+
+	test('hasKey', function(){
+		Comf.set('db.replicas.0.ssl', false)
+		Equal(Comf.hasKey('db.replicas.0.ssl'), true)
+		Equal(Comf.hasKey('db.replicas.0.tls'), false)
+		Equal(Comf.hasKey('db.replicas.5'), false)
+		Equal(Comf.hasKey('db.host.x'), false)
+	})
+
+	test('delete', function(){
+		Equal(Comf.delete('db.replicas.0.ssl'), true)
+		Equal(Comf.hasKey('db.replicas.0.ssl'), false)
+
+		Comf.delete('db.replicas.0')
+		Equal(Comf.get('db.replicas.0.list.0'), 1)
+
+		// not an element
+		Equal(Comf.delete('db.replicas.foo'), false)
+		Equal(Comf.delete('db.replicas.7'), false)
+		Equal(Comf.get('db.replicas').length, 2)
+		Equal(Comf.get('db.replicas.0.list.0'), 1)
+
+		ErrObj(Comf.delete('db.host.x'))
+	})
+
+	test('sync dotpaths', function(){
+		Comf.sync({'db.host': 'remote', 'db.missing': 1}, {update:true})
+		Equal(Comf.get('db.host'), 'remote')
+		Equal(Comf.hasKey('db.missing'), false)
+
+		Comf.sync({'db.pool.max': 20}, {merge:true})
+		Equal(Comf.get('db.pool.max'), 20)
+
+		Comf.sync({'db.host': 'local'}, {mirror:true})
+		Equal(Comf.get('db.host'), 'local')
+		Equal(Comf.hasKey('cache'), false)
+	})
+
+	test('round-trip after changes', function(){
+		const copy = new Comfig.Comfig()
+		copy.import(Comf.serialize())
+		Equal(copy.serialize(), Comf.serialize())
+		Equal(copy.get('db.pool.max'), 20)
+	})
+})
+
+section('nested comments', function(){
+
+	const text = [
+		'pools: [',
+		'\t■ primary',
+		'\t■ handles writes',
+		'\t{',
+		'\t\tsize: 10',
+		'\t}',
+		'\t■ replica',
+		'\t{',
+		'\t\t~ freestyle within objects',
+		'\t\tsize: 5',
+		'\t}',
+		'\t{',
+		'\t\tsize: 1',
+		'\t}',
+		'\t■ trailing',
+		']',
+		'flags: {',
+		'\t# beta features',
+		'\tbeta: true',
+		'}',
+	].join('\n')
+
+	test('parse', function(){
+		Comf = new Comfig.Comfig()
+		Comf.import(text)
+
+		Equal(Comf.get('pools.1.size'), 5)
+		Equal(Comf.get('pools').length, 3)
+		Equal(Comf.getComment('pools.0', true), '■ primary\n■ handles writes\n')
+		Equal(Comf.getComment('pools.1.size', true), '~ freestyle within objects\n')
+		Equal(Comf.getComment('flags.beta')[0], 'beta features')
+		Equal(Comf.getComment('pools.2', true), '')
+	})
+
+	test('round-trip', function(){
+		Equal(Comf.serialize(), text + '\n')
+	})
+
+	test('set comment', function(){
+		Comf.setComment('pools.2', 'fallback')
+		Equal(Comf.getComment('pools.2', true), '■ fallback\n')
+		Comf.setComment('flags.beta', 'enabled', {add:true})
+		Equal(Comf.getComment('flags.beta', true), '# beta features\n■ enabled\n')
+		Equal(Comf.serialize().split('\n')[11], '\t■ fallback')
+	})
+
+	test('set comment errors', function(){
+		ErrObj(Comf.setComment('pools.5', 'nope'))
+		ErrObj(Comf.getComment('flags.alpha'))
+	})
+
+	test('delete comment', function(){
+		Comf.deleteComment('flags.beta')
+		Equal(Comf.getComment('flags.beta', true), '')
+		Comf.deleteKeyComment('pools.1.size')
+		Equal(Comf.getComment('pools.1.size', true), '')
+	})
+
+	test('delete item shifts comments', function(){
+		Comf.delete('pools.0')
+		Equal(Comf.getComment('pools.0', true), '■ replica\n')
+		Equal(Comf.getComment('pools.1', true), '■ fallback\n')
+	})
+
+	test('array element cannot look like a comment', function(){
+		ErrObj(Comf.set('flags.list', ['ok', '■ not ok']))
+	})
+
+	test('convert symbol keeps array comments', function(){
+		Comf.setComment('flags.beta', 'enabled')
+		Comf.convertCommentSymbol('■', '#')
+		Equal(Comf.getComment('flags.beta', true), '# enabled\n')
+		Equal(Comf.getComment('pools.0', true), '■ replica\n')
+		Equal(Comf.serialize().includes('\t■ trailing\n]'), true)
+
+		const copy = new Comfig.Comfig()
+		copy.import(Comf.serialize())
+		Equal(copy.get('pools').length, 2)
+		Equal(copy.getComment('pools.0', true), '■ replica\n')
+		Equal(copy.getComment('flags.beta', true), '# enabled\n')
+		Equal(copy.serialize(), Comf.serialize())
+	})
+})
+
+section('comment placement', function(){
+
+	const text = [
+		'# server',
+		'host: localhost',
+		'# between keys',
+		'port: 8080',
+		'obj: {',
+		'\tkey: val',
+		'}',
+		'# after last key',
+		'',
+		'# next section',
+		'key: value',
+	].join('\n')
+
+	test('parse', function(){
+		Comf = new Comfig.Comfig()
+		Comf.import(text)
+
+		Equal(Comf.getComment('port', true), '# server\n')
+		Equal(Comf.getComment('port', {raw:true, own:true}), '# between keys\n')
+		Equal(Comf.getComment('host', {raw:true, own:true}), '# server\n')
+		Equal(Comf.getComment('obj', {own:true}).length, 0)
+	})
+
+	test('round-trip', function(){
+		Equal(Comf.serialize(), text + '\n')
+	})
+
+	test('set own comment', function(){
+		Comf.setComment('obj', 'object', {own:true})
+		Equal(Comf.getComment('obj', {raw:true, own:true}), '■ object\n')
+		Equal(Comf.serialize().split('\n')[4], '■ object')
+
+		// first key, same as section comment
+		Comf.setComment('host', 'server', {own:true})
+		Equal(Comf.getComment(0, true), '■ server\n')
+	})
+
+	test('delete own comment', function(){
+		Comf.deleteComment('obj', {own:true})
+		Equal(Comf.getComment('obj', {raw:true, own:true}), '')
+		Equal(Comf.getComment('obj', true), '■ server\n')
+	})
+
+	test('comment follows the key', function(){
+		Comf.reorderSection(0, ['obj', 'port', 'host'])
+		Equal(Comf.getComment('port', {raw:true, own:true}), '# between keys\n')
+	})
+
+	test('becomes section comment when key is first', function(){
+		Comf.delete('obj')
+		Equal(Comf.getComment(0, true), '■ server\n# between keys\n')
+		Equal(Comf.getComment('host', {raw:true, own:true}), '')
+	})
+})
+
+section('schema', function(){
+
+	const schema = {
+		port: {type: 'integer', min: 1, max: 65535, default: 8080},
+		mode: {type: 'string', enum: ['dev', 'prod'], required: true},
+		name: {type: 'string', pattern: '^[a-z]+$'},
+		db: {type: 'object', properties: {
+			host: {type: 'string', required: true},
+			replicas: {type: 'array', max: 2, items: {type: 'object', properties: {
+				port: {type: 'number'},
+			}}},
+		}},
+		extra: {},
+	}
+
+	test('throw on invalid schema', function(){
+		Throws(() => new Comfig.Comfig(null, {schema: {port: {type: 'int'}}}))
+		Throws(() => new Comfig.Comfig(null, {schema: {port: true}}))
+	})
+
+	test('validate', function(){
+		Comf = new Comfig.Comfig(null, {schema})
+		Comf.import([
+			'port: 99999',
+			'mode: test',
+			'name: Joe',
+			'db: {',
+			'\treplicas: [',
+			'\t\t{',
+			'\t\t\tport: x',
+			'\t\t}',
+			'\t]',
+			'}',
+			'typo: 1',
+		].join('\n'))
+
+		const violations = Comf.validate()
+		const codes = violations.map(v => `${v.key}:${v.code}`)
+
+		Equal(codes.join(' '), 'port:max mode:enum name:pattern db.host:required db.replicas.0.port:type typo:unknown')
+		Equal(violations[0].value, 99999)
+		Equal(typeof violations[0].error, 'string')
+	})
+
+	test('valid state', function(){
+		Comf.import('mode: dev\nextra: {\n\tanything: [\n\t\t1\n\t]\n}')
+		Equal(Comf.validate().length, 0)
+	})
+
+	test('schema default', function(){
+		Equal(Comf.get('port'), 8080)
+		Equal(Comf.get('port', 1), 1)
+	})
+
+	test('set rejects invalid values', function(){
+		const result = Comf.set('mode', 'test')
+		ErrObj(result)
+		Equal(result.violations[0].code, 'enum')
+		Equal(Comf.get('mode'), 'dev')
+
+		ErrObj(Comf.set('port', 1.5, {create:true}))
+		ErrObj(Comf.set('typo', 1, {create:true}))
+		ErrObj(Comf.set('db', {replicas: []}, {create:true}))
+		Equal(Comf.set('db', {host: 'x', replicas: [{port: 1}]}, {create:true}), 1)
+		ErrObj(Comf.set('db.replicas.0.port', '1'))
+		Equal(Comf.set('db.replicas.0.port', 2), 1)
+	})
+
+	test('sync rejects invalid values', function(){
+		ErrObj(Comf.sync({port: 'x'}, {merge:true}))
+		ErrObj(Comf.sync({port: 80}, {mirror:true})) // mode is required
+		Equal(Comf.get('port'), 8080)
+
+		// unknown keys are ignored in update mode
+		Equal(Comf.sync({typo: 1}, {update:true}), undefined)
+	})
+
+	test('object form rejects invalid values', function(){
+		conf = Comf.$()
+		conf.port = 0
+		ErrObj(conf.$saveSync('~willnotcreate.config'))
+		ErrObj(conf.$sync())
+		conf.port = 80
+		Equal(conf.$sync(), undefined)
+		Equal(Comf.get('port'), 80)
+	})
+})
+
+section('from schema', function(){
+
+	const schema = {
+		port: {type: 'integer', default: 8080, description: 'Port to listen on\nUse 0 for random'},
+		host: {type: 'string', default: 'localhost', group: 'net', description: 'Interface'},
+		timeout: {type: 'integer', default: 30, group: 'net', description: 'Seconds'},
+		db: {type: 'object', description: 'Database', properties: {
+			name: {type: 'string', default: 'app', description: 'Schema name'},
+			pool: {type: 'object', properties: {
+				size: {type: 'integer', default: 5, description: 'Connections'},
+			}},
+		}},
+		secret: {type: 'string'},
+	}
+
+	test('generate', function(){
+		Comf = Comfig.Comfig.fromSchema(schema, {comment: '#', indent: '  '})
+
+		Equal(Comf.serialize(), [
+			'# Port to listen on',
+			'# Use 0 for random',
+			'port: 8080',
+			'',
+			'# Interface',
+			'host: localhost',
+			'# Seconds',
+			'timeout: 30',
+			'',
+			'# Database',
+			'db: {',
+			'  # Schema name',
+			'  name: app',
+			'  pool: {',
+			'    # Connections',
+			'    size: 5',
+			'  }',
+			'}',
+			'',
+			'secret: null',
+			'',
+		].join('\n'))
+	})
+
+	test('schema is attached', function(){
+		ErrObj(Comf.set('port', 'x'))
+	})
+
+	test('read back', function(){
+		const copy = new Comfig.Comfig(null, {schema})
+		copy.import(Comf.serialize())
+		Equal(copy.get('db.pool.size'), 5)
+		Equal(copy.getComment('timeout', {own:true})[0], 'Seconds')
+	})
+})
+
+section('env overrides', function(){
+
+	const text = [
+		'port: 80',
+		'logLevel: info',
+		'db: {',
+		'\thost: localhost',
+		'\tuser: app',
+		'}',
+	].join('\n')
+
+	test('throw on missing prefix', function(){
+		Throws(() => new Comfig.Comfig(null, {env: {}}))
+	})
+
+	test('apply', function(){
+		process.env.CFGTEST_PORT = '8080'
+		process.env.CFGTEST_DB__HOST = 'db.example.com'
+		process.env.CFGTEST_LOGLEVEL = 'debug'
+		process.env.CFGTEST_NEW__KEY = 'true'
+
+		require('fs').writeFileSync(file, text)
+		Comf = new Comfig.Comfig(file, {env: {prefix: 'CFGTEST_'}})
+
+		for(const name of ['PORT', 'DB__HOST', 'LOGLEVEL', 'NEW__KEY'])
+			delete process.env['CFGTEST_' + name]
+	})
+
+	test('get', function(){
+		Equal(Comf.get('port'), 8080)
+		Equal(Comf.get('logLevel'), 'debug')
+		Equal(Comf.get('db.host'), 'db.example.com')
+		Equal(Comf.get('db.user'), 'app')
+		Equal(Comf.get('db').host, 'db.example.com')
+		Equal(Comf.get('new.key'), true)
+	})
+
+	test('object', function(){
+		conf = Comf.object()
+		Equal(conf.port, 8080)
+		Equal(conf.db.host, 'db.example.com')
+		Equal(conf.new.key, true)
+	})
+
+	test('sources', function(){
+		const env = Comf.getOverrides('env')
+		Equal(Object.keys(env).join(' '), 'port db.host logLevel new.key')
+		Equal(env['db.host'], 'db.example.com')
+		Equal(Object.keys(Comf.getOverrides()).length, 4)
+	})
+
+	test('never saved', function(){
+		Equal(Comf.serialize(), text + '\n')
+
+		conf.db.user = 'admin'
+		conf.$saveSync()
+
+		Equal(require('fs').readFileSync(file, 'utf8'), text.replace('user: app', 'user: admin') + '\n')
+		Equal(Comf.get('db.host'), 'db.example.com')
+	})
+
+	test('set keeps override on top', function(){
+		Comf.set('port', 443)
+		Equal(Comf.get('port'), 8080)
+		Equal(Comf.tree[0].data.port, 443)
+	})
+
+	test('apply custom vars', function(){
+		Comf.applyEnv({CFGTEST_DB__USER: 'root'})
+		Equal(Comf.get('db.user'), 'root')
+		Equal(Comf.get('port'), 443)
+	})
+
+	test('factory', function(){
+		conf = Comfig(null, {env: {prefix: 'CFGTEST_', separator: '.'}})
+		Equal(conf.$().applyEnv({'CFGTEST_a.b': '1.5'})['a.b'], 1.5)
+	})
+})
+
+section('argv overrides', function(){
+
+	const text = 'port: 80\nverbose: false\nname: app\ndb: {\n\thost: localhost\n}'
+
+	test('apply', function(){
+		Comf = new Comfig.Comfig()
+		Comf.import(text)
+
+		const applied = Comf.applyArgs(['node', 'app.js', '--port=8080', '--db.host', 'remote', 'positional', '--verbose', '--name=a=b'])
+		Equal(Object.keys(applied).join(' '), 'port db.host verbose name')
+
+		Equal(Comf.get('port'), 8080)
+		Equal(Comf.get('db.host'), 'remote')
+		Equal(Comf.get('verbose'), true)
+		Equal(Comf.get('name'), 'a=b')
+		Equal(Comf.object().db.host, 'remote')
+		Equal(Comf.getOverrides('argv').port, 8080)
+	})
+
+	test('stop at end of options', function(){
+		const comfig = new Comfig.Comfig()
+		comfig.import(text)
+
+		const applied = comfig.applyArgs(['node', 'app.js', '--port=8080', '--verbose', '--', '--db.host=z'])
+		Equal(Object.keys(applied).join(' '), 'port verbose')
+		Equal(comfig.get('verbose'), true)
+		Equal(comfig.get('db.host'), 'localhost')
+	})
+
+	test('never saved', function(){
+		Equal(Comf.serialize(), text + '\n')
+	})
+
+	test('unknown keys', function(){
+		ErrObj(Comf.applyArgs(['--typo=1']))
+		Equal(Comf.get('port'), 8080) // previous args stay
+
+		Comf.applyArgs(['--typo=1'], {create:true})
+		Equal(Comf.get('typo'), 1)
+		Equal(Comf.get('port'), 80)
+	})
+
+	test('win over env', function(){
+		Comf.opts.env = {prefix: 'CFGTEST_'}
+		Comf.applyArgs(['--port=1'])
+		Comf.applyEnv({CFGTEST_PORT: '2'})
+		Equal(Comf.get('port'), 1)
+	})
+
+	test('schema', function(){
+		Comf = new Comfig.Comfig(null, {schema: {port: {type: 'integer'}}})
+		ErrObj(Comf.applyArgs(['--port=x'], {create:true}))
+	})
+
+	test('constructor option', function(){
+		conf = Comfig(null, {argv: {args: ['--a.b=1'], create: true}})
+		Equal(conf.a.b, 1)
+		Throws(() => Comfig(null, {argv: {args: ['--a=1']}}))
+	})
+})
+
+section('layered', function(){
+
+	const fs = require('fs')
+	const files = ['./~defaults.config', './~app.config', './~app.local.config']
+
+	let stack;
+
+	test('create', function(){
+		fs.writeFileSync(files[0], 'port: 80\nhost: localhost\n\ndb: {\n\thost: localhost\n\tport: 5432\n}\n')
+		fs.writeFileSync(files[1], '# app\nport: 8080\ndb: {\n\thost: db.example.com\n}\n')
+		if(fs.existsSync(files[2]))
+			fs.unlinkSync(files[2])
+
+		stack = Comfig.Comfig.layered(files)
+		Equal(stack.layers.length, 3)
+		Equal(stack.layer(), stack.layers[2])
+	})
+
+	test('resolve top-down', function(){
+		Equal(stack.get('port'), 8080)
+		Equal(stack.get('host'), 'localhost')
+		Equal(stack.get('db.host'), 'db.example.com')
+		Equal(stack.get('db.port'), 5432)
+		Equal(stack.get('db').port, 5432) // merged
+		Equal(stack.get('missing', 'dflt'), 'dflt')
+		Equal(stack.hasKey('db.port'), true)
+		Equal(stack.object().db.host, 'db.example.com')
+		Equal(stack.getKeys().join(' '), 'port host db')
+	})
+
+	test('whereIs', function(){
+		const where = stack.whereIs('db.host')
+		Equal(where.layer, 1)
+		Equal(where.file, files[1])
+		Equal(where.line, 4)
+		Equal(stack.whereIs('db.port').line, 6)
+		Equal(stack.whereIs('missing'), undefined)
+	})
+
+	test('whereIs follows changes', function(){
+		const app = stack.layer(1)
+		app.addSection({id: 0, key: 'name', value: 'app', comment: 'name\nof the app'})
+		app.saveSync()
+
+		Equal(stack.whereIs('db.host').line, 8)
+		Equal(app.getLocation('db.host').start, 8)
+		Equal(fs.readFileSync(files[1], 'utf8').split('\n')[7], '\thost: db.example.com')
+
+		app.deleteSection(0)
+		app.saveSync()
+		Equal(stack.whereIs('db.host').line, 4)
+
+		// deleted and set again, not where it was
+		app.delete('port')
+		Equal(stack.whereIs('port').layer, 0)
+		Equal(stack.whereIs('port').line, 1)
+		app.set('port', 8080, {create: true})
+		Equal(stack.whereIs('port').layer, 1)
+		Equal(stack.whereIs('port').line, 6)
+
+		app.import(fs.readFileSync(files[1], 'utf8'))
+	})
+
+	test('write to layer', function(){
+		// existing in lower layer, no create needed
+		Equal(stack.set('port', 9000), 0)
+		Equal(stack.get('port'), 9000)
+		Equal(stack.whereIs('port').file, files[2])
+		ErrObj(stack.set('nope', 1))
+
+		Equal(stack.set('host', 'remote', {layer: files[1]}), 1)
+		Equal(stack.layer(1).get('host'), 'remote')
+		ErrObj(stack.set('host', 'x', {layer: 5}))
+	})
+
+	test('save touches the write layer only', function(){
+		stack.saveSync()
+		Equal(fs.readFileSync(files[2], 'utf8'), 'port: 9000\n')
+		Equal(fs.readFileSync(files[1], 'utf8').includes('remote'), false)
+	})
+
+	test('delete reveals lower layer', function(){
+		stack.delete('port')
+		Equal(stack.get('port'), 8080)
+	})
+
+	test('write layer option', function(){
+		stack = Comfig.Comfig.layered(files, {write: 0})
+		Equal(stack.layer(), stack.layers[0])
+		Throws(() => Comfig.Comfig.layered(files, {write: 9}))
+		Throws(() => Comfig.Comfig.layered([]))
+	})
+})
+
+section('includes', function(){
+
+	const fs = require('fs')
+
+	const main = './~main.config'
+	const db = './~inc/db.config'
+	const pool = './~inc/pool.config'
+
+	test('load', function(){
+		fs.mkdirSync('./~inc', {recursive:true})
+		fs.writeFileSync(main, '# main\nport: 80\n\n@include ./~inc/db.config\n\nname: app\n')
+		fs.writeFileSync(db, '# database\ndb: {\n\thost: localhost\n}\n\n@include pool.config\n')
+		fs.writeFileSync(pool, 'pool: 5\n')
+
+		Comf = new Comfig.Comfig(main, {include: true})
+
+		Equal(Comf.get('port'), 80)
+		Equal(Comf.get('db.host'), 'localhost')
+		Equal(Comf.get('pool'), 5)
+		Equal(Comf.get('name'), 'app')
+		Equal(Comf.getComment('db')[0], 'database')
+		Equal(Comf.object().pool, 5)
+	})
+
+	test('directives are comments when disabled', function(){
+		const plain = new Comfig.Comfig(main)
+		Equal(plain.get('db'), undefined)
+		Equal(plain.getSectionComment(1, true), '@include ./~inc/db.config\n')
+	})
+
+	test('read-only by default', function(){
+		ErrObj(Comf.set('db.host', 'remote'))
+		ErrObj(Comf.delete('pool'))
+		ErrObj(Comf.setComment('pool', 'nope'))
+		Equal(Comf.get('db.host'), 'localhost')
+
+		const idx = Comf.index.db
+		ErrObj(Comf.addSectionKey(idx, 'user', 'admin'))
+		ErrObj(Comf.moveSection(idx, 0))
+		ErrObj(Comf.reorderSection(idx, ['db']))
+		ErrObj(Comf.deleteSection(idx))
+		Equal(Comf.hasKey('user'), false)
+		Equal(Comf.index.db, idx)
+		Equal(Comf.get('db.host'), 'localhost')
+
+		conf = Comf.object()
+		conf.pool = 10
+		ErrObj(conf.$sync())
+		delete conf.pool
+		ErrObj(conf.$sync())
+	})
+
+	test('save keeps directives, not included sections', function(){
+		Comf.set('port', 8080)
+		Comf.saveSync()
+		Equal(fs.readFileSync(main, 'utf8'), '# main\nport: 8080\n\n@include ./~inc/db.config\n\nname: app\n')
+		Equal(fs.readFileSync(db, 'utf8'), '# database\ndb: {\n\thost: localhost\n}\n\n@include pool.config\n')
+	})
+
+	test('write mode', function(){
+		Comf = new Comfig.Comfig(main, {include: 'write'})
+		Comf.set('db.host', 'remote')
+		Comf.set('pool', 10)
+		Comf.saveSync()
+		Equal(fs.readFileSync(db, 'utf8'), '# database\ndb: {\n\thost: remote\n}\n\n@include pool.config\n')
+		Equal(fs.readFileSync(pool, 'utf8'), 'pool: 10\n')
+		Equal(fs.readFileSync(main, 'utf8').includes('remote'), false)
+	})
+
+	test('detect cycles', function(){
+		fs.writeFileSync(pool, 'pool: 5\n@include ../~main.config\n')
+		Throws(() => new Comfig.Comfig(main, {include: true}), /include cycle/)
+	})
+
+	test('missing included file throws', function(){
+		fs.unlinkSync(pool)
+		Throws(() => new Comfig.Comfig(main, {include: true}), /ENOENT/)
+	})
+})
+
+section('interpolation', function(){
+
+	const text = [
+		'base: /srv/app',
+		'port: 8080',
+		'logs: ${base}/logs',
+		'url: http://localhost:${port}/',
+		'copy: ${port}',
+		'home: ${env:CFGTEST_HOME}/.app',
+		'escaped: $${base}',
+		'paths: {',
+		'\tdata: ${base}/data',
+		'\tlist: [',
+		'\t\t${paths.data}/a',
+		'\t]',
+		'}',
+	].join('\n')
+
+	test('disabled by default', function(){
+		Comf = new Comfig.Comfig()
+		Comf.import(text)
+		Equal(Comf.get('logs'), '${base}/logs')
+	})
+
+	test('get', function(){
+		process.env.CFGTEST_HOME = '/home/me'
+
+		Comf = new Comfig.Comfig(null, {interpolate: true})
+		Comf.import(text)
+
+		Equal(Comf.get('logs'), '/srv/app/logs')
+		Equal(Comf.get('url'), 'http://localhost:8080/')
+		Equal(Comf.get('copy'), 8080)
+		Equal(Comf.get('home'), '/home/me/.app')
+		Equal(Comf.get('escaped'), '${base}')
+		Equal(Comf.get('paths.list.0'), '/srv/app/data/a')
+		Equal(Comf.get('paths').list[0], '/srv/app/data/a')
+	})
+
+	test('raw', function(){
+		Equal(Comf.get('logs', null, {raw:true}), '${base}/logs')
+		Equal(Comf.tree[0].data.paths.data, '${base}/data')
+	})
+
+	test('object', function(){
+		conf = Comf.object()
+		Equal(conf.logs, '/srv/app/logs')
+		Equal(conf.paths.list[0], '/srv/app/data/a')
+	})
+
+	test('serialize keeps references', function(){
+		Equal(Comf.serialize(), text + '\n')
+
+		// untouched values are not written back resolved
+		conf.port = 9090
+		conf.paths.extra = 1
+		conf.$sync()
+		Equal(Comf.get('url'), 'http://localhost:9090/')
+		Equal(Comf.get('paths.data', null, {raw:true}), '${base}/data')
+		Equal(Comf.get('paths.extra'), 1)
+	})
+
+	test('missing references', function(){
+		delete process.env.CFGTEST_HOME
+		Throws(() => Comf.get('home'), /CFGTEST_HOME/)
+
+		Comf.set('broken', '${nope}', {create:true})
+		Throws(() => Comf.get('broken'), /missing reference "nope"/)
+	})
+
+	test('cycles', function(){
+		Comf.import('a: ${b}\nb: x${c}\nc: ${a}\nd: {\n\te: ${d}\n}')
+		Throws(() => Comf.get('a'), /reference cycle, a -> b -> c -> a/)
+		Throws(() => Comf.get('d.e'), /reference cycle/)
+	})
+})
+
+section('watch', function(){
+
+	const fs = require('fs')
+
+	let changes, errors = []
+
+	test('reload emits changes', function(){
+		fs.writeFileSync(file, 'port: 80\nname: app\ndb: {\n\thost: localhost\n\tpool: 5\n}\n')
+
+		Comf = new Comfig.Comfig(file, {include: true})
+		Comf.on('change', c => changes = c)
+		Comf.on('error', err => errors.push(err))
+
+		fs.writeFileSync(file, 'port: 8080\ndb: {\n\thost: localhost\n}\nnew: true\n')
+		Comf.reload()
+
+		Equal(Comf.get('port'), 8080)
+		Equal(changes.added.join(), 'new')
+		Equal(changes.removed.join(), 'name,db.pool')
+		Equal(changes.modified.join(), 'port')
+	})
+
+	test('no event without changes', function(){
+		changes = null
+		Equal(Comf.reload().modified.length, 0)
+		Equal(changes, null)
+	})
+
+	test('failed reload keeps previous state', function(){
+		fs.writeFileSync(file, 'port: 1\n@include ./~missing.config\n')
+		ErrObj(Comf.reload())
+		Equal(errors.length, 1)
+		Equal(Comf.get('port'), 8080)
+		Equal(Comf.get('new'), true)
+	})
+
+	test('half-written file keeps previous state', function(){
+		fs.writeFileSync(file, 'port: 80\nobj: {\n\tx: 1\n')
+		Equal(Comf.reload().error.includes('line 2'), true)
+		Equal(errors.length, 2)
+		Equal(errors[1].name, 'ComfigParseError')
+		Equal(Comf.get('port'), 8080)
+		Equal(Comf.get('obj'), undefined)
+		Equal(Comf.diagnostics.length, 0)
+	})
+
+	test('nothing to watch without file', function(){
+		ErrObj(new Comfig.Comfig(null).watch())
+	})
+
+	test('object form listeners', function(){
+		conf = Comf.object()
+		const listener = c => changes = c
+		conf.$on('change', listener)
+		Equal(Comf.listenerCount('change'), 2)
+		conf.$off('change', listener)
+		Equal(Comf.listenerCount('change'), 1)
+	})
+
+	test('watch and unwatch', function(){
+		Comf.watch({persistent: false})
+		const watcher = Comf.watcher
+		Truthy(watcher)
+		Comf.watch()
+		Equal(Comf.watcher, watcher)
+		Comf.unwatch()
+		Equal(Comf.watcher, null)
+	})
+})
+
+section('mutation events', function(){
+
+	let events = []
+	const log = type => event => { events.push([type, event]) }
+
+	test('set', function(){
+		Comf = new Comfig.Comfig(null)
+		Comf.import('# first\nport: 80\ndb: {\n\thost: localhost\n}\n\n# second\nname: app\n')
+
+		Comf.on('set', log('set'))
+		Comf.on('mutation', log('mutation'))
+
+		Equal(Comf.set('db.host', 'remote'), 0)
+		Equal(events.length, 2)
+
+		const [type, event] = events[0]
+		Equal(type, 'set')
+		Equal(event.key, 'db.host')
+		Equal(event.old, 'localhost')
+		Equal(event.value, 'remote')
+		Equal(event.section, 0)
+		Equal(events[1][1].type, 'set')
+
+		events = []
+		Comf.set('new.key', 1, {create:true})
+		Equal(events[0][1].old, undefined)
+		Equal(events[0][1].section, 2)
+	})
+
+	test('no event on error', function(){
+		events = []
+		ErrObj(Comf.set('nope', 1))
+		ErrObj(Comf.set('port.sub', 1))
+		Equal(events.length, 0)
+	})
+
+	test('veto', function(){
+		const veto = event => event.key != 'port'
+		Comf.on('set', veto)
+		Comf.on('delete', veto)
+
+		events = []
+		ErrObj(Comf.set('port', 8080))
+		ErrObj(Comf.delete('port'))
+		Equal(Comf.get('port'), 80)
+		Equal(events.filter(([type]) => type == 'mutation').length, 0)
+
+		Equal(Comf.set('name', 'other'), 1)
+		Equal(Comf.get('name'), 'other')
+
+		Comf.off('set', veto)
+		Comf.off('delete', veto)
+	})
+
+	test('vetoed nested set changes nothing', function(){
+		const veto = () => false
+		Comf.on('set', veto)
+		ErrObj(Comf.set('db.pool.size', 5, {create:true}))
+		Equal(Comf.hasKey('db.pool'), false)
+		Comf.off('set', veto)
+	})
+
+	test('delete', function(){
+		Comf.on('delete', log('delete'))
+		events = []
+		Comf.delete('db.host')
+		Equal(events[0][0], 'delete')
+		Equal(events[0][1].old, 'remote')
+		Equal(events[0][1].section, 0)
+	})
+
+	test('sections', function(){
+		Comf.on('addSection', log('addSection'))
+		Comf.on('moveSection', log('moveSection'))
+		Comf.on('deleteSection', log('deleteSection'))
+		events = []
+
+		Equal(Comf.addSection({key: 'added', value: true}), 3)
+		Comf.moveSection(3, 0)
+		Comf.deleteSection(0)
+
+		const types = events.filter(([type]) => type != 'mutation')
+		Equal(types.map(([type]) => type).join(), 'addSection,moveSection,deleteSection')
+		Equal(types[0][1].section, 3)
+		Equal(types[1][1].old, 3)
+		Equal(types[1][1].value, 0)
+		Equal(types[2][1].old.added, true)
+	})
+
+	test('setComment', function(){
+		Comf.on('setComment', log('setComment'))
+		events = []
+		Comf.setComment('name', 'changed')
+		Equal(events[0][1].old, '# second\n')
+		Equal(events[0][1].value, '■ changed\n')
+		Equal(events[0][1].section, 1)
+
+		Comf.once('setComment', () => false)
+		ErrObj(Comf.deleteComment('name'))
+		Equal(Comf.getComment('name', true), '■ changed\n')
+	})
+
+	test('sync fires once', function(){
+		Comf.on('sync', log('sync'))
+		events = []
+		conf = Comf.object()
+		conf.port = 81
+		conf.extra = 1
+		conf.$sync()
+
+		Equal(events.length, 2)
+		Equal(events[0][1].mode, 'mirror')
+		Equal(events[0][1].old.port, 80)
+		Equal(events[0][1].value.port, 81)
+
+		Comf.once('sync', () => false)
+		conf.port = 82
+		ErrObj(conf.$sync())
+		Equal(Comf.get('port'), 81)
+	})
+
+	test('import and upgrade', function(){
+		Comf.on('import', log('import'))
+		Comf.on('upgrade', log('upgrade'))
+		events = []
+
+		Comf.once('import', () => false)
+		ErrObj(Comf.import('port: 1\n'))
+		Equal(Comf.get('port'), 81)
+
+		events = []
+		Comf.import('port: 1\n')
+		Equal(events.length, 2)
+		Equal(events[0][1].old.port, 81)
+		Equal(events[0][1].value.port, 1)
+
+		const next = new Comfig.Comfig(null)
+		next.import('port: 2\nother: true\n')
+
+		Comf.once('upgrade', () => false)
+		ErrObj(Comf.upgrade(next))
+		Equal(next.get('port'), 2)
+		Equal(Comf.hasKey('other'), false)
+
+		events = []
+		Comf.upgrade(next)
+		Equal(events[0][0], 'upgrade')
+		Equal(events[0][1].value.other, true)
+		Equal(Comf.get('port'), 1)
+		Equal(next.get('port'), 2)
+
+		// overrides of the new instance don't run again on the copy
+		require('fs').writeFileSync(file, 'port: 3\n')
+		const overridden = new Comfig.Comfig(file, {argv: {args: ['--port=5']}})
+		Equal(Comf.upgrade(overridden).dropped.map(item => item.key).join(), 'other')
+		Equal(Comf.get('port'), 1)
+	})
+})
+
+section('live object', function(){
+
+	let live
+
+	test('reads from instance', function(){
+		live = Comfig(null, {live: true})
+		Comf = live.$()
+		Comf.import('port: 80\ndb: {\n\thost: localhost\n\tlist: [\n\t\ta\n\t\tb\n\t\tc\n\t]\n}\n')
+
+		Equal(live.port, 80)
+		Equal(live.db.host, 'localhost')
+		Equal(Array.isArray(live.db.list), true)
+		Equal(Object.keys(live).join(), 'port,db')
+		Equal(JSON.stringify(live.db.list), '["a","b","c"]')
+		Equal('port' in live, true)
+		Equal('nope' in live, false)
+
+		// instance changes show up right away
+		Comf.set('port', 81)
+		Equal(live.port, 81)
+	})
+
+	test('writes to instance', function(){
+		live.port = 82
+		live.db.host = 'remote'
+		Equal(Comf.get('port'), 82)
+		Equal(Comf.get('db.host'), 'remote')
+
+		// new keys are created
+		live.name = 'app'
+		live.db.pool = {size: 5}
+		Equal(Comf.get('name'), 'app')
+		Equal(Comf.get('db.pool.size'), 5)
+		Equal(Comf.getSectionId('name'), 1)
+	})
+
+	test('assignments are validated', function(){
+		Throws(() => live.bad = {'bad key': 1}, /invalid object key/)
+		Throws(() => live.db.list[0] = ']', /reserved/)
+		Equal(Comf.hasKey('bad'), false)
+		Equal(Comf.get('db.list.0'), 'a')
+	})
+
+	test('array methods', function(){
+		live.db.list.push('d')
+		live.db.list.shift()
+		Equal(Comf.get('db.list').join(), 'b,c,d')
+
+		live.db.list.splice(1, 1)
+		Equal(Comf.get('db.list').join(), 'b,d')
+		Equal(live.db.list.map(item => item + '!').join(), 'b!,d!')
+
+		live.db.list.length = 1
+		Equal(Comf.get('db.list').join(), 'b')
+		Throws(() => live.db.list.length = 5, /holes/)
+		Throws(() => live.db.list[5] = 'x', /invalid array index/)
+		Equal(Comf.get('db.list').join(), 'b')
+	})
+
+	test('delete', function(){
+		delete live.db.pool
+		delete live.name
+		Equal(Comf.hasKey('db.pool'), false)
+		Equal(Comf.hasKey('name'), false)
+		Equal(Comf.tree.length, 1)
+	})
+
+	test('copies of proxies are plain', function(){
+		live.copy = live.db
+		live.copy.host = 'other'
+		Equal(Comf.get('db.host'), 'remote')
+		Equal(Comf.get('copy.host'), 'other')
+	})
+
+	test('vetoed assignment throws', function(){
+		Comf.once('set', () => false)
+		Throws(() => live.port = 1, /vetoed/)
+		Equal(live.port, 82)
+	})
+
+	test('save', function(){
+		Equal(live.$sync(), undefined)
+		live.$saveSync(file)
+		Equal(Comfig(file).db.host, 'remote')
+	})
+})
+
+section('atomic save', function(){
+
+	const fs = require('fs')
+	const temps = () => fs.readdirSync('.').filter(name => name.endsWith('.tmp'))
+
+	test('keeps file mode', function(){
+		fs.writeFileSync(file, 'port: 80\n')
+		fs.chmodSync(file, 0o600)
+
+		Comf = new Comfig.Comfig(file)
+		Comf.set('port', 81)
+		Comf.saveSync()
+
+		Equal(fs.readFileSync(file, 'utf8'), 'port: 81\n')
+		Equal(fs.statSync(file).mode & 0o777, 0o600)
+		Equal(temps().length, 0)
+	})
+
+	test('temp file is created with file mode', function(){
+		const open = fs.openSync
+		const modes = []
+		fs.openSync = (path, flags, mode) => {
+			modes.push(mode)
+			return open(path, flags, mode)
+		}
+
+		try {
+			Comf.saveSync()
+		} finally {
+			fs.openSync = open
+		}
+
+		Equal(modes[0], 0o600)
+	})
+
+	test('failed save leaves file intact', function(){
+		Comf.set('port', 82)
+		Comf.tree[0].data.port = {'bad key': 1}
+		Throws(() => Comf.saveSync())
+
+		Comf.tree[0].data.port = 82
+		Throws(() => Comf.saveSync('./~nope/app.config'), /ENOENT/)
+		Equal(fs.readFileSync(file, 'utf8'), 'port: 81\n')
+		Equal(temps().length, 0)
+	})
+
+	test('symlink is followed', function(){
+		const real = './~real.config'
+		const link = './~link.config'
+		fs.writeFileSync(real, 'port: 80\n')
+		fs.symlinkSync(real.slice(2), link)
+
+		const comfig = new Comfig.Comfig(link)
+		comfig.set('port', 81)
+		comfig.saveSync()
+
+		Equal(fs.lstatSync(link).isSymbolicLink(), true)
+		Equal(fs.readFileSync(real, 'utf8'), 'port: 81\n')
+		Equal(temps().length, 0)
+
+		fs.unlinkSync(link)
+		fs.unlinkSync(real)
+	})
+
+	test('backups', function(){
+		Throws(() => new Comfig.Comfig(null, {backup: -1}), /backup/)
+
+		Comf = new Comfig.Comfig(file, {backup: 2})
+		for(const port of [90, 91, 92]){
+			Comf.set('port', port)
+			Comf.saveSync()
+		}
+
+		Equal(fs.readFileSync(file, 'utf8'), 'port: 92\n')
+		Equal(fs.readFileSync(file + '.1', 'utf8'), 'port: 91\n')
+		Equal(fs.readFileSync(file + '.2', 'utf8'), 'port: 90\n')
+		Equal(fs.existsSync(file + '.3'), false)
+
+		// object form too
+		conf = Comf.object()
+		conf.port = 93
+		conf.$saveSync()
+		Equal(fs.readFileSync(file + '.2', 'utf8'), 'port: 91\n')
+
+		fs.unlinkSync(file + '.1')
+		fs.unlinkSync(file + '.2')
+	})
+})
+
+section('external edits', function(){
+
+	const fs = require('fs')
+	const text = '# app\nport: 80\nname: app\ndb: {\n\thost: localhost\n\tport: 5432\n}\nlist: [\n\ta\n\tb\n]\n'
+
+	// make sure mtime differs from the one recorded at load
+	const edit = (content) => {
+		fs.writeFileSync(file, content)
+		const time = new Date(Date.now() + 5000)
+		fs.utimesSync(file, time, time)
+	}
+
+	test('refuse by default', function(){
+		fs.writeFileSync(file, text)
+		Comf = new Comfig.Comfig(file)
+		Comf.set('port', 81)
+
+		edit(text.replace('localhost', 'remote').replace('name: app\n', ''))
+
+		const result = Comf.saveSync()
+		ErrObj(result)
+		Equal(result.conflicts.join(), 'name,db.host')
+		Truthy(fs.readFileSync(file, 'utf8').includes('remote'))
+	})
+
+	test('unchanged content is not a conflict', function(){
+		Comf = new Comfig.Comfig(file)
+		edit(fs.readFileSync(file, 'utf8'))
+		Equal(Comf.saveSync(), undefined)
+
+		// saved file is the new base
+		Comf.set('port', 82)
+		Equal(Comf.saveSync(), undefined)
+	})
+
+	test('overwrite', function(){
+		Comf = new Comfig.Comfig(file, {conflict: 'overwrite'})
+		edit(text)
+		Equal(Comf.saveSync(), undefined)
+		Equal(Comfig(file).db.host, 'remote')
+		Throws(() => new Comfig.Comfig(null, {conflict: 'nope'}), /conflict/)
+	})
+
+	test('merge', function(){
+		fs.writeFileSync(file, text)
+		Comf = new Comfig.Comfig(file, {conflict: 'merge'})
+
+		let changes
+		Comf.on('change', c => changes = c)
+
+		Comf.set('port', 81)
+		Comf.set('db.port', 5433)
+		Comf.setComment('port', 'ours')
+
+		edit(text.replace('localhost', 'remote').replace('name: app\n', '').replace('\tb\n', '\tb\n\tc\n') + '\nnew: 1\n')
+
+		Equal(Comf.saveSync(), undefined)
+		Equal(Comf.get('port'), 81)
+		Equal(Comf.get('db.port'), 5433)
+		Equal(Comf.get('db.host'), 'remote')
+		Equal(Comf.hasKey('name'), false)
+		Equal(Comf.get('list').join(), 'a,b,c')
+		Equal(Comf.get('new'), 1)
+		Equal(Comf.getComment('port')[0], 'ours')
+		Equal(changes.removed.join(), 'name')
+
+		const saved = Comfig(file)
+		Equal(saved.db.host, 'remote')
+		Equal(saved.port, 81)
+	})
+
+	test('merge conflict', function(){
+		Comf.set('db.host', 'ours')
+		edit(fs.readFileSync(file, 'utf8').replace('remote', 'theirs'))
+
+		const result = Comf.saveSync()
+		Equal(result.conflicts.join(), 'db.host')
+		Equal(Comf.get('db.host'), 'ours')
+		Equal(Comfig(file).db.host, 'theirs')
+	})
+
+	test('saving a copy keeps watching own file', function(){
+		const copy = './~copy.config'
+		fs.writeFileSync(file, text)
+		Comf = new Comfig.Comfig(file)
+
+		Equal(Comf.saveSync(copy), undefined)
+		edit(text.replace('localhost', 'remote'))
+
+		Comf.set('port', 81)
+		Equal(Comf.saveSync().conflicts.join(), 'db.host')
+		Equal(Comfig(file).db.host, 'remote')
+
+		fs.unlinkSync(copy)
+	})
+
+	test('lock', function(){
+		Comf = new Comfig.Comfig(file, {lock: true})
+		Equal(Comf.saveSync(), undefined)
+		Equal(fs.existsSync(file + '.lock'), false)
+
+		// held by a running process
+		fs.writeFileSync(file + '.lock', String(process.ppid))
+		ErrObj(Comf.saveSync())
+
+		// stale lock is taken over
+		fs.writeFileSync(file + '.lock', '999999999')
+		Equal(Comf.saveSync(), undefined)
+		Equal(fs.existsSync(file + '.lock'), false)
+	})
+})
+
+section('diff and merge', function(){
+
+	const base = '# app\nport: 80\nname: app\n\n# database\ndb: {\n\thost: localhost\n\t# pool size\n\tpool: 5\n}\n\n# free comment\n\n# logs\nlogs: /var/log\n'
+	const ours = base.replace('port: 80', 'port: 8080').replace('pool: 5', 'pool: 10') + 'mine: 1\n'
+	const theirs = '# logs moved up\nlogs: /var/log\n\n# app\nport: 80\nname: app\n# new key comment\nversion: 2\n\n# database\ndb: {\n\thost: db.local\n\t# pool size, connections\n\tpool: 5\n\ttimeout: 30\n}\n\n# free comment changed\n\n# cache\ncache: {\n\tttl: 60\n}\n'
+
+	let diff, merged
+
+	test('diff values', function(){
+		diff = Comfig.Comfig.diff(base, theirs)
+
+		Equal(diff.added.map(item => item.key).join(), 'version,db.timeout,cache.ttl')
+		Equal(diff.added[0].section, 1)
+		Equal(diff.removed.length, 0)
+		Equal(diff.changed.length, 1)
+		Equal(diff.changed[0].key, 'db.host')
+		Equal(diff.changed[0].old, 'localhost')
+		Equal(diff.changed[0].value, 'db.local')
+
+		const removed = Comfig.Comfig.diff(theirs, base).removed
+		Equal(removed.map(item => item.key).join(), 'version,db.timeout,cache.ttl')
+	})
+
+	test('diff comments and moves', function(){
+		const comments = diff.comments.map(item => `${item.key}:${item.section}`)
+		Equal(comments.join(), 'undefined:0,version:1,db.pool:2,undefined:3,undefined:4')
+		Equal(diff.comments[2].old, '# pool size\n')
+		Equal(diff.comments[2].value, '# pool size, connections\n')
+
+		Equal(diff.moved.length, 1)
+		Equal(diff.moved[0].from, 3)
+		Equal(diff.moved[0].to, 0)
+		Equal(diff.moved[0].keys.join(), 'logs')
+	})
+
+	test('diff instances', function(){
+		Comf = new Comfig.Comfig(null)
+		Comf.import(base)
+		const other = new Comfig.Comfig(null)
+		other.import(base)
+
+		diff = Comfig.Comfig.diff(Comf, other)
+		Equal(Object.values(diff).every(list => !list.length), true)
+	})
+
+	test('merge', function(){
+		const result = Comfig.Comfig.merge(base, ours, theirs)
+		merged = result.comfig
+
+		Equal(result.conflicts.length, 0)
+		Equal(merged.get('port'), 8080)
+		Equal(merged.get('db.pool'), 10)
+		Equal(merged.get('db.host'), 'db.local')
+		Equal(merged.get('db.timeout'), 30)
+		Equal(merged.get('version'), 2)
+		Equal(merged.get('mine'), 1)
+
+		Equal(merged.serialize(), '# logs moved up\nlogs: /var/log\nmine: 1\n\n# app\nport: 8080\nname: app\n# new key comment\nversion: 2\n\n# database\ndb: {\n\thost: db.local\n\t# pool size, connections\n\tpool: 10\n\ttimeout: 30\n}\n\n# free comment changed\n\n# cache\ncache: {\n\tttl: 60\n}\n')
+	})
+
+	test('merge conflicts', function(){
+		const result = Comfig.Comfig.merge(base, ours, ours.replace('8080', '9090').replace('# database', '# db'))
+		Equal(result.conflicts.length, 1)
+		Equal(result.conflicts[0].key, 'port')
+		Equal(result.conflicts[0].base, 80)
+		Equal(result.conflicts[0].ours, 8080)
+		Equal(result.conflicts[0].theirs, 9090)
+
+		// ours kept, the rest merged
+		Equal(result.comfig.get('port'), 8080)
+		Equal(result.comfig.getComment('db', true), '# db\n')
+
+		const comments = Comfig.Comfig.merge(base, base.replace('# logs', '# ours'), base.replace('# logs', '# theirs'))
+		Equal(comments.conflicts[0].comment, true)
+		Equal(comments.conflicts[0].theirs, '# theirs\n')
+	})
+
+	test('merge removals', function(){
+		const result = Comfig.Comfig.merge(base, ours, base.replace('name: app\n', '').replace('\n# free comment\n', ''))
+		Equal(result.conflicts.length, 0)
+		Equal(result.comfig.hasKey('name'), false)
+		Equal(result.comfig.serialize().includes('free comment'), false)
+
+		// removed on one side, changed on the other
+		const conflict = Comfig.Comfig.merge(base, ours, base.replace('port: 80\n', ''))
+		Equal(conflict.conflicts[0].key, 'port')
+		Equal(conflict.comfig.get('port'), 8080)
+	})
+})
+
+section('migrations', function(){
+
+	const text = '# app\nversion: 1\nhost: localhost\n# the port\nport: 80\n\n# timeout\ntimeout: 30\n\ndb: {\n\t# name\n\tname: app\n\tuser: root\n}\n\nold: x\n'
+
+	const migrations = [
+		{from: 2, to: 3, migrate: comfig => {
+			comfig.renameKey('db.name', 'db.database')
+			comfig.moveKey('db.user', 'user')
+			comfig.deprecate('old', 'use new')
+		}},
+		{from: 1, to: 2, migrate: comfig => {
+			comfig.renameKey('host', 'hostname')
+			comfig.moveKey('timeout', 'db.timeout')
+			comfig.transformValue('port', port => port + 1)
+		}},
+	]
+
+	let report
+
+	test('runs steps in a chain', function(){
+		Comf = new Comfig.Comfig(null)
+		Comf.import(text)
+		report = Comf.migrate(migrations)
+
+		Equal(report.from, 1)
+		Equal(report.to, 3)
+		Equal(report.steps.map(step => `${step.from}-${step.to}`).join(), '1-2,2-3')
+		Equal(Comf.get('version'), 3)
+	})
+
+	test('report', function(){
+		const [first, second] = report.steps
+		Equal(first.changes.map(change => change.type).join(), 'rename,move,transform')
+		Equal(first.changes[0].key, 'host')
+		Equal(first.changes[0].to, 'hostname')
+		Equal(first.changes[2].old, 80)
+		Equal(first.changes[2].value, 81)
+		Equal(second.changes[2].message, 'use new')
+	})
+
+	test('helpers', function(){
+		Equal(Comf.serialize(), '# app\nversion: 3\nhostname: localhost\n# the port\nport: 81\n\ndb: {\n\t# name\n\tdatabase: app\n\t# timeout\n\ttimeout: 30\n}\n\n■ deprecated, use new\nold: x\n\nuser: root\n')
+
+		Equal(Comf.renameKey('nope', 'other'), false)
+		ErrObj(Comf.renameKey('port', 'hostname'))
+		ErrObj(Comf.moveKey('port', 'db.database'))
+		Equal(Comf.transformValue('nope', value => value), false)
+	})
+
+	test('up to date', function(){
+		report = Comf.migrate(migrations)
+		Equal(report.from, 3)
+		Equal(report.to, 3)
+		Equal(report.steps.length, 0)
+	})
+
+	test('failed step restores state', function(){
+		Throws(() => Comf.migrate([{from: 3, to: 4, migrate: comfig => {
+			comfig.set('port', 1)
+			throw new Error('broken')
+		}}]), /broken/)
+
+		Equal(Comf.get('version'), 3)
+		Equal(Comf.get('port'), 81)
+	})
+
+	test('custom version key, missing is null', function(){
+		Comf = new Comfig.Comfig(null)
+		Comf.import('a: 1\n')
+		report = Comf.migrate([{from: null, to: 1, migrate: comfig => comfig.renameKey('a', 'b')}], {key: 'schema'})
+		Equal(Comf.get('schema'), 1)
+		Equal(Comf.get('b'), 1)
+	})
+
+	test('upgrade reports dropped keys', function(){
+		const next = new Comfig.Comfig(null)
+		next.import('b: 2\nc: 3\n')
+
+		report = Comf.upgrade(next)
+		Equal(report.dropped.map(item => item.key).join(), 'schema')
+		Equal(report.dropped[0].value, 1)
+		Equal(Comf.get('b'), 1)
+	})
+
+	test('upgrade refuses values the new layout rejects', function(){
+		const next = Comfig.Comfig.fromSchema({port: {type: 'integer', default: 80}, host: {type: 'string', default: 'localhost'}})
+
+		const comfig = new Comfig.Comfig(null)
+		comfig.import('port: abc\nhost: prod.example.com\n')
+
+		ErrObj(comfig.upgrade(next))
+		Equal(comfig.get('port'), 'abc')
+		Equal(comfig.get('host'), 'prod.example.com')
+
+		comfig.set('port', 8080)
+		Equal(comfig.upgrade(next).dropped.length, 0)
+		Equal(comfig.get('port'), 8080)
+		Equal(comfig.get('host'), 'prod.example.com')
+		Equal(next.get('port'), 80)
+	})
+})
+
+section('aliases', function(){
+
+	const warnings = []
+	const opts = {
+		aliases: {timeout: 'net.timeout', 'db.host': 'db.hostname', old: 'fresh'},
+		warn: (message, info) => warnings.push(info.alias),
+	}
+
+	test('old keys move to the new place on load', function(){
+		Throws(() => new Comfig.Comfig(null, {aliases: {a: 1}}), /aliases/)
+
+		Comf = new Comfig.Comfig(null, opts)
+		Comf.import('# timeout\ntimeout: 30\n\nnet: {\n\tretries: 3\n}\n\ndb: {\n\thost: localhost\n}\n')
+
+		Equal(Comf.serialize(), 'net: {\n\tretries: 3\n\t# timeout\n\ttimeout: 30\n}\n\ndb: {\n\thostname: localhost\n}\n')
+		Equal(warnings.join(), 'timeout,db.host')
+	})
+
+	test('new key wins', function(){
+		const comfig = new Comfig.Comfig(null, opts)
+		comfig.import('timeout: 30\nnet: {\n\ttimeout: 10\n}\n')
+		Equal(comfig.get('net.timeout'), 10)
+		Equal(comfig.serialize(), 'net: {\n\ttimeout: 10\n}\n')
+	})
+
+	test('instance', function(){
+		warnings.length = 0
+
+		Equal(Comf.get('timeout'), 30)
+		Equal(Comf.hasKey('timeout'), true)
+		Equal(Comf.get('db.host'), 'localhost')
+
+		Comf.set('timeout', 40)
+		Equal(Comf.get('net.timeout'), 40)
+
+		Comf.set('old', 1, {create:true})
+		Equal(Comf.get('fresh'), 1)
+		Equal(Comf.hasKey('old'), true)
+		Equal(warnings.length, 6)
+
+		Comf.delete('old')
+		Equal(Comf.hasKey('fresh'), false)
+	})
+
+	test('object', function(){
+		conf = Comf.object()
+		Equal(conf.timeout, 40)
+		Equal(conf.db.host, 'localhost')
+		Equal(Object.keys(conf).includes('timeout'), false)
+
+		conf.timeout = 50
+		conf.old = 2
+		conf.$sync()
+		Equal(Comf.get('net.timeout'), 50)
+		Equal(Comf.get('fresh'), 2)
+		Equal(Comf.serialize().includes('old'), false)
+
+		Comf.sync({timeout: 60}, {update:true})
+		Equal(Comf.get('net.timeout'), 60)
+	})
+
+	test('live object', function(){
+		const live = Comfig(null, Object.assign({live: true}, opts))
+		live.$().import('net: {\n\ttimeout: 1\n}\n')
+
+		Equal(live.timeout, 1)
+		Equal('timeout' in live, true)
+		Equal(Object.keys(live).join(), 'net')
+
+		live.timeout = 2
+		Equal(live.net.timeout, 2)
+
+		delete live.timeout
+		Equal(live.$().hasKey('net.timeout'), false)
+	})
+
+	test('default warning, once per alias', function(){
+		const emitted = []
+		const emitWarning = process.emitWarning
+		process.emitWarning = message => emitted.push(message)
+
+		const comfig = new Comfig.Comfig(null, {aliases: opts.aliases})
+		comfig.import('net: {\n\ttimeout: 1\n}\n')
+		comfig.get('timeout')
+		comfig.get('timeout')
+		process.emitWarning = emitWarning
+
+		Equal(emitted.length, 1)
+		Truthy(emitted[0].includes('"net.timeout"'))
+	})
+})
+
+section('history', function(){
+
+	const text = '# app\nport: 80\nname: app\n\n# db\ndb: {\n\thost: localhost\n}\n'
+
+	test('transaction commits', function(){
+		Comf = new Comfig.Comfig(null)
+		Comf.import(text)
+
+		const result = Comf.transaction(comfig => {
+			comfig.set('port', 81)
+			comfig.delete('name')
+			return 'done'
+		})
+
+		Equal(result, 'done')
+		Equal(Comf.get('port'), 81)
+		Equal(Comf.hasKey('name'), false)
+	})
+
+	test('initial load is not a step', function(){
+		require('fs').writeFileSync(file, text)
+		Equal(new Comfig.Comfig(file, {history: 5}).undo(), false)
+
+		const comfig = new Comfig.Comfig(null, {history: 5})
+		comfig.import(text)
+		Equal(comfig.undo(), false)
+		Equal(comfig.get('port'), 80)
+
+		// later imports are
+		comfig.import('port: 1\n')
+		Equal(comfig.undo(), true)
+		Equal(comfig.get('port'), 80)
+	})
+
+	test('section edits are steps', function(){
+		const comfig = new Comfig.Comfig(null, {history: 5})
+		comfig.import(text)
+
+		comfig.set('port', 81)
+		comfig.addSectionKey(0, 'x', 5)
+		Equal(comfig.undo(), true)
+		Equal(comfig.hasKey('x'), false)
+		Equal(comfig.get('port'), 81)
+
+		comfig.reorderSection(0, ['name', 'port'])
+		Equal(comfig.undo(), true)
+		Equal(comfig.getSection(0).keys.join(), 'port,name')
+		Equal(comfig.get('port'), 81)
+
+		comfig.convertCommentSymbol('#', ';')
+		Equal(comfig.serialize().startsWith('; app\n'), true)
+		Equal(comfig.undo(), true)
+		Equal(comfig.serialize().startsWith('# app\n'), true)
+		Equal(comfig.get('port'), 81)
+
+		// nothing to convert, nothing to undo
+		comfig.clearHistory()
+		comfig.convertCommentSymbol('%', ';')
+		Equal(comfig.undo(), false)
+	})
+
+	test('transaction rolls back', function(){
+		Throws(() => Comf.transaction(comfig => {
+			comfig.set('port', 82)
+			comfig.addSection({key: 'new', value: 1})
+			throw new Error('broken')
+		}), /broken/)
+
+		Equal(Comf.get('port'), 81)
+		Equal(Comf.hasKey('new'), false)
+
+		const result = Comf.transaction(comfig => {
+			comfig.set('db.host', 'remote')
+			return comfig.set('nope', 1)
+		})
+
+		ErrObj(result)
+		Equal(Comf.get('db.host'), 'localhost')
+	})
+
+	test('undo and redo', function(){
+		Throws(() => new Comfig.Comfig(null, {history: -1}), /history/)
+
+		Comf = new Comfig.Comfig(null, {history: 3})
+		Comf.import(text)
+		Comf.clearHistory()
+
+		Equal(Comf.undo(), false)
+
+		Comf.set('port', 81)
+		Comf.setComment('port', 'changed')
+		Comf.moveSection(1, 0)
+
+		Equal(Comf.undo(), true)
+		Equal(Comf.getSectionId('port'), 0)
+		Equal(Comf.undo(), true)
+		Equal(Comf.getComment('port', true), '# app\n')
+		Equal(Comf.undo(), true)
+		Equal(Comf.get('port'), 80)
+		Equal(Comf.undo(), false)
+
+		Equal(Comf.redo(), true)
+		Equal(Comf.get('port'), 81)
+		Equal(Comf.redo(), true)
+		Equal(Comf.getComment('port', true), '■ changed\n')
+
+		// new change drops what could be redone
+		Comf.delete('name')
+		Equal(Comf.redo(), false)
+		Comf.undo()
+		Equal(Comf.get('name'), 'app')
+	})
+
+	test('depth', function(){
+		Comf.clearHistory()
+		for(const port of [1, 2, 3, 4, 5])
+			Comf.set('port', port)
+
+		while(Comf.undo());
+		Equal(Comf.get('port'), 2)
+	})
+
+	test('sync and transaction are single steps', function(){
+		Comf.clearHistory()
+
+		conf = Comf.object()
+		conf.port = 10
+		conf.name = 'other'
+		conf.$sync()
+
+		Comf.transaction(comfig => {
+			comfig.set('port', 11)
+			comfig.set('name', 'third')
+			comfig.moveKey('name', 'db.name')
+		})
+
+		Comf.undo()
+		Equal(Comf.get('port'), 10)
+		Equal(Comf.get('name'), 'other')
+
+		Comf.undo()
+		Equal(Comf.get('port'), 2)
+		Equal(Comf.get('name'), 'app')
+	})
+
+	test('rolled back transaction leaves no step', function(){
+		Comf.clearHistory()
+		Comf.set('port', 20)
+		Comf.transaction(comfig => comfig.set('nope', 1))
+		Comf.undo()
+		Equal(Comf.get('port'), 2)
+	})
+})
+
+section('section handles', function(){
+
+	const text = '# app\nport: 80\nname: app\n\n# db\ndb: {\n\thost: localhost\n}\n\n# cache\nttl: 60\n'
+
+	test('handles survive moves', function(){
+		Comf = new Comfig.Comfig(null)
+		Comf.import(text)
+
+		const handle = Comf.getSection(1).handle
+		Equal(Comf.getSection(0).handle != handle, true)
+
+		Comf.moveSection(handle, 0)
+		Equal(Comf.getSection(handle).id, 0)
+		Equal(Comf.getSectionId('db'), 0)
+
+		Comf.addSection({id: 0, key: 'first', value: 1})
+		Equal(Comf.getSection(handle).id, 1)
+
+		Equal(Comf.addSectionKey(handle, 'pool', 5), undefined)
+		Equal(Comf.getSection(handle).keys.join(), 'db,pool')
+		Comf.reorderSection(handle, ['pool', 'db'])
+		Equal(Comf.getSection(handle).keys.join(), 'pool,db')
+
+		Comf.setSectionComment(handle, 'database')
+		Equal(Comf.getSection(handle).comment.join(), 'database')
+		Equal(Comf.getComment(handle).join(), 'database')
+
+		Comf.deleteSection(handle)
+		Equal(Comf.getSection(handle), undefined)
+		Equal(Comf.hasKey('db'), false)
+		ErrObj(Comf.moveSection(handle, 0))
+		ErrObj(Comf.deleteSection('#999'))
+	})
+
+	test('handles survive reload', function(){
+		Comf = new Comfig.Comfig(null)
+		Comf.import(text)
+
+		const handle = Comf.getSection(Comf.getSectionId('ttl')).handle
+		Comf.import('# cache, first now\nttl: 30\n\n# app\nport: 80\nname: app\n')
+
+		Equal(Comf.getSection(handle).id, 0)
+		Equal(Comf.getSection(handle).keys.join(), 'ttl')
+	})
+
+	test('handles are not reused after upgrade and merge', function(){
+		const handles = comfig => comfig.tree.map(section => section.handle)
+		const unique = comfig => Equal(new Set(handles(comfig)).size, comfig.tree.length)
+
+		Comf = new Comfig.Comfig(null)
+		Comf.import(text)
+		const app = Comf.getSection(0).handle
+
+		const next = new Comfig.Comfig(null)
+		next.import('# one\nextra: 1\n\n# app\nport: 1\n\n# two\nmore: 2\n\n# db\ndb: {\n\thost: x\n}\n\n# cache\nttl: 1\n')
+
+		Comf.upgrade(next)
+		Comf.addSection({key: 'last', value: 1})
+		unique(Comf)
+		Equal(Comf.getSection(app).keys.join(), 'port')
+		Equal(handles(next).join(), '#1,#2,#3,#4,#5')
+
+		const ours = new Comfig.Comfig(null)
+		ours.import(text)
+		const {comfig} = Comfig.Comfig.merge(text, ours, text + '\n# keyless note\n')
+		comfig.addSection({key: 'last', value: 1})
+		unique(comfig)
+		Equal(handles(comfig).slice(0, 3).join(), handles(ours).join())
+	})
+
+	test('names', function(){
+		Comf = new Comfig.Comfig(null, {sectionNames: true})
+		Comf.import('@section app\n# app\nport: 80\n\n@section db\ndb: {\n\thost: localhost\n}\n')
+
+		Equal(Comf.getSection('db').id, 1)
+		Equal(Comf.getSection('app').comment.join(), 'app')
+		Equal(Comf.hasKey('@section'), false)
+
+		Comf.moveSection('db', 'app')
+		Equal(Comf.getSection('db').id, 0)
+
+		ErrObj(Comf.addSection({name: 'db', key: 'x', value: 1}))
+		ErrObj(Comf.addSection({name: 'bad name', key: 'x', value: 1}))
+		Equal(Comf.addSection({name: 'empty'}), 2)
+
+		Equal(Comf.setSectionName('app', 'main'), undefined)
+		ErrObj(Comf.setSectionName('main', 'db'))
+		Equal(Comf.getSection('app'), undefined)
+
+		Equal(Comf.serialize(), '@section db\ndb: {\n\thost: localhost\n}\n\n@section main\n# app\nport: 80\n\n@section empty\n')
+
+		// names are comments, when directives are not enabled
+		const plain = new Comfig.Comfig(null)
+		plain.import(Comf.serialize())
+		Equal(plain.getSection('db'), undefined)
+		Equal(plain.getComment('db', true), '@section db\n')
+	})
+})
+
+section('parse errors', function(){
+
+	test('lenient mode collects diagnostics', function(){
+		Comf = new Comfig.Comfig(null)
+		Comf.import('port: 80\n\n# db\ndb: {\n\thost: a\n\thost: b\n}\n\nport: 81\n}\n')
+
+		Equal(Comf.get('port'), 81)
+		Equal(Comf.get('db.host'), 'b')
+		Equal(Comf.getSectionId('port'), 1)
+		Equal(Comf.getSectionId('db'), 0)
+
+		Equal(Comf.diagnostics.map(item => item.code).join(), 'DUPLICATE_KEY,DUPLICATE_KEY,STRAY_CLOSER')
+		Equal(Comf.diagnostics[0].message, 'duplicate key `db.host`')
+		Equal(Comf.diagnostics[0].line, 6)
+		Equal(Comf.diagnostics[0].column, 2)
+		Equal(Comf.diagnostics[1].snippet, 'port: 81')
+
+		Comf.import('port: 80\n')
+		Equal(Comf.diagnostics.length, 0)
+	})
+
+	test('unterminated blocks are closed at the end', function(){
+		Comf = new Comfig.Comfig(null)
+		Comf.import('list: [\n\t1\n\t{\n\t\tkey: """\n\t\tbody\n')
+
+		Equal(Comf.get('list.0'), 1)
+		Equal(Comf.get('list.1.key'), '\t\tbody')
+		Equal(Comf.diagnostics.map(item => `${item.message} ${item.line}:${item.column}`).join(),
+			'unterminated multi-line string 4:8,unterminated object 3:2,unterminated array 1:7')
+	})
+
+	test('strict mode throws', function(){
+		Comf = new Comfig.Comfig(null, {strict: true})
+
+		Throws(() => Comf.import('a: 1\n\na: 2\n', 'app.config'), err => {
+			Equal(err instanceof Comfig.ParseError, true)
+			Equal(err.message, 'Comfig: duplicate key `a`, line 3, column 1 of app.config')
+			Equal(err.code, 'DUPLICATE_KEY')
+			Equal(err.snippet, 'a: 2')
+			return true
+		})
+
+		Throws(() => Comf.import('a: 1\n]\n'), {code: 'STRAY_CLOSER', line: 2, column: 1})
+		Throws(() => Comf.import('a: {\n\tb: 1\n'), {code: 'UNTERMINATED', line: 1, column: 4})
+	})
+
+	test('carriage returns', function(){
+		Comf = new Comfig.Comfig(null, {strict: true})
+		Comf.import('a: 1\r\nb: {\r\n\tc: 2\r\n}\r\n')
+		Equal(Comf.get('a'), 1)
+		Equal(Comf.get('b.c'), 2)
+	})
+})
+
+section('lint', function(){
+
+	test('clean text', function(){
+		Equal(Comfig.Comfig.lint('# app\nport: 80\n\n# db\ndb: {\n\thost: localhost\n}\n').length, 0)
+	})
+
+	test('problems, in order', function(){
+		const text = '# app\nport: 007\nhost = app\ndb.host: x\n// other\nflag: undefined\nlist: [\n\t1.50\n]\nname: 1\nname: 2\n}\n'
+		const found = Comfig.Comfig.lint(text, {file: 'app.config'})
+
+		Equal(found.map(item => `${item.severity} ${item.code} ${item.line}:${item.column}`).join(),
+			'warning LOSSY_VALUE 2:7,warning MIXED_ASSIGN 3:6,warning DOTTED_KEY 4:1,warning MIXED_COMMENT 5:1,'
+			+ 'warning LOSSY_VALUE 6:7,warning LOSSY_VALUE 8:2,error DUPLICATE_KEY 11:1,error STRAY_CLOSER 12:1')
+
+		const dotted = found[2]
+		Equal(dotted.message, 'key `db.host` contains a dot, line is read as a comment')
+		Equal(dotted.range.start.column, 1)
+		Equal(dotted.range.end.column, 8)
+		Equal(dotted.snippet, 'db.host: x')
+		Equal(dotted.file, 'app.config')
+
+		Equal(found[0].message, 'value `007` is read as 7')
+		Equal(found[0].range.end.column, 10)
+	})
+
+	test('values that cannot be saved', function(){
+		const found = Comfig.Comfig.lint('a: """\n{\n"""\nb: [\n\t"""\n\t■ x\n\t"""\n]\n')
+
+		Equal(found.map(item => `${item.code} ${item.line}`).join(), 'INVALID_VALUE 1,INVALID_VALUE 4')
+
+		Comf = new Comfig.Comfig(null)
+		Comf.import('a: """\n{\n"""\n')
+		Throws(() => Comf.serialize(), /reserved/)
+	})
+
+	test('unterminated block', function(){
+		const [found] = Comfig.Comfig.lint('a: 1\nb: {\n\tc: 1\n')
+		Equal(found.code, 'UNTERMINATED')
+		Equal(found.severity, 'error')
+		Equal(`${found.range.start.line}:${found.range.start.column}-${found.range.end.column}`, '2:4-5')
+	})
+})
+
+section('locations', function(){
+
+	const text = '@section app\n# app\n# more\nport: 80\n\n\n# db\ndb: {\n\t# host\n\thost: x\n\tlist: [\n\t\t1\n\t]\n}\n# trailing\n'
+
+	test('as loaded', function(){
+		Comf = new Comfig.Comfig(null, {sectionNames: true})
+		Comf.import(text)
+
+		Equal(JSON.stringify(Comf.getLocation('port')), '{"start":4,"end":4}')
+		Equal(JSON.stringify(Comf.getLocation('db')), '{"start":8,"end":14}')
+		Equal(JSON.stringify(Comf.getLocation('db.host')), '{"start":10,"end":10,"comment":{"start":9,"end":9}}')
+		Equal(JSON.stringify(Comf.getLocation('db.list')), '{"start":11,"end":13}')
+		Equal(Comf.getLocation('db.list.0').start, 12)
+		Equal(Comf.getLocation('missing'), undefined)
+
+		Equal(JSON.stringify(Comf.getSectionLocation('app')), '{"start":1,"end":4,"comment":{"start":2,"end":3}}')
+		Equal(JSON.stringify(Comf.getSectionLocation(1)), '{"start":7,"end":15,"comment":{"start":7,"end":7}}')
+		Equal(Comf.getSectionLocation(5), undefined)
+	})
+
+	test('after changes, as it would be saved', function(){
+		Comf.addSection({id: 0, key: 'first', value: 1, comment: 'new'})
+
+		Equal(JSON.stringify(Comf.getLocation('first')), '{"start":2,"end":2}')
+		Equal(Comf.getLocation('port').start, 7)
+		Equal(Comf.getLocation('db.host').comment.start, 11)
+		Equal(Comf.getSectionLocation('app').start, 4)
+
+		Comf.delete('first', true)
+		Equal(Comf.getLocation('first'), undefined)
+		Equal(Comf.getLocation('port').start, 4)
+	})
+
+	test('comment before object key', function(){
+		Comf = new Comfig.Comfig(null)
+		Comf.import('a: 1\n# about db\ndb: {\n\thost: x\n}\n')
+
+		Equal(Comf.getComment('db', {own: true}).join(), 'about db')
+		Equal(Comf.getComment('db.host').length, 0)
+		Equal(JSON.stringify(Comf.getLocation('db').comment), '{"start":2,"end":2}')
+	})
+})
+
+section('preserve format', function(){
+
+	const text = '\n# app\nport =  007   \nname:app\n\n\n# db\ndb  = {\n\n    # host\n    host:    x\n\tlist: [\n\t\t1\n\n\t\t■ c\n\t\t2\n\t  ]\n   }\nlong: """\n  body\n   """\n\n'
+
+	test('unchanged text is written as read', function(){
+		Comf = new Comfig.Comfig(null, {preserveFormat: true})
+
+		for(const sample of [text, 'a: 1', 'a= 1\n\n\n', '', '# only\n', 'a: 1\n@include other.config\nb: 2\n']){
+			Comf.import(sample)
+			Equal(Comf.serialize(), sample)
+		}
+	})
+
+	test('changed lines keep their spacing', function(){
+		Comf.import(text)
+
+		Comf.set('port', 8080)
+		Comf.set('db.host', 'y')
+		Comf.set('db.list.1', 3)
+		Comf.delete('db.list.0')
+		Comf.set('long', 'short')
+		Comf.set('new', true, {create: true})
+
+		Equal(Comf.serialize(), '\n# app\nport =  8080\nname:app\n\n\n# db\ndb  = {\n\n    # host\n    host:    y\n\tlist: [\n\n\t\t■ c\n\t\t3\n\t  ]\n   }\nlong: short\n\nnew: true\n')
+	})
+
+	test('comments and sections', function(){
+		Comf.import(text)
+
+		Comf.setComment('db.host', 'server')
+		Comf.moveSection(1, 0)
+
+		Equal(Comf.serialize(), '# db\ndb  = {\n\n    ■ server\n    host:    x\n\tlist: [\n\t\t1\n\n\t\t■ c\n\t\t2\n\t  ]\n   }\nlong: """\n  body\n   """\n\n# app\nport =  007   \nname:app\n')
+	})
+
+	test('off by default', function(){
+		Comf = new Comfig.Comfig(null)
+		Comf.import('a =  1\n\n\nb:2\n')
+		Equal(Comf.serialize(), 'a: 1\n\nb: 2\n')
+	})
+})
+
+section('line endings and encoding', function(){
+
+	const fs = require('fs')
+
+	test('CRLF is kept', function(){
+		fs.writeFileSync(file, '# app\r\nport: 80\r\n\r\ndb: {\r\n\thost: localhost\r\n}\r\n')
+
+		Comf = new Comfig.Comfig(file)
+		Equal(Comf.get('port'), 80)
+		Equal(Comf.get('db.host'), 'localhost')
+
+		Comf.set('port', 81)
+		Comf.saveSync()
+		Equal(fs.readFileSync(file, 'utf8'), '# app\r\nport: 81\r\n\r\ndb: {\r\n\thost: localhost\r\n}\r\n')
+	})
+
+	test('CR only, and mixed endings', function(){
+		Comf = new Comfig.Comfig(null)
+		Comf.import('a: 1\rb: """\rline\rline\r"""\r')
+		Equal(Comf.get('b'), 'line\nline')
+		Equal(Comf.serialize(), 'a: 1\rb: """\rline\rline\r"""\r')
+
+		Comf.import('a: 1\r\nb: 2\nc: 3\r\n')
+		Equal(Comf.get('b'), 2)
+		Equal(Comf.serialize(), 'a: 1\r\nb: 2\r\nc: 3\r\n')
+	})
+
+	test('eol option', function(){
+		Throws(() => new Comfig.Comfig(null, {eol: 'crlf'}), /eol/)
+
+		Comf = new Comfig.Comfig(null, {eol: '\n'})
+		Comf.import('a: 1\r\nb: 2\r\n')
+		Equal(Comf.serialize(), 'a: 1\nb: 2\n')
+
+		Comf = new Comfig.Comfig(null, {eol: '\r\n'})
+		Comf.set('a', 1, {create: true})
+		Equal(Comf.serialize(), 'a: 1\r\n')
+	})
+
+	test('line breaks within values', function(){
+		Comf = new Comfig.Comfig(null, {eol: '\r\n'})
+		Comf.set('a', 'one\r\ntwo\nthree', {create: true})
+		Comf.set('b', 'one\rtwo', {create: true})
+		Equal(Comf.serialize(), 'a: """\r\none\r\ntwo\r\nthree\r\n"""\r\n\r\nb: """\r\none\r\ntwo\r\n"""\r\n')
+
+		ErrObj(Comf.set('c', 'x\r"""\ry', {create: true}))
+
+		const copy = new Comfig.Comfig(null)
+		copy.import(Comf.serialize())
+		Equal(copy.get('a'), 'one\ntwo\nthree')
+		Equal(copy.get('b'), 'one\ntwo')
+	})
+
+	test('byte order mark', function(){
+		Comf = new Comfig.Comfig(null)
+		Comf.import('\uFEFFport: 80\n')
+		Equal(Comf.getKeys().join(), 'port')
+		Equal(Comf.serialize(), '\uFEFFport: 80\n')
+
+		Comf = new Comfig.Comfig(null, {bom: false})
+		Comf.import('\uFEFFport: 80\n')
+		Equal(Comf.serialize(), 'port: 80\n')
+	})
+
+	test('encoding', function(){
+		Throws(() => new Comfig.Comfig(null, {encoding: 'nope'}), /encoding/)
+
+		fs.writeFileSync(file, Buffer.from('name: café\n', 'latin1'))
+
+		Comf = new Comfig.Comfig(file, {encoding: 'latin1'})
+		Equal(Comf.get('name'), 'café')
+
+		Comf.set('name', 'crème')
+		Comf.saveSync()
+		Equal(fs.readFileSync(file, 'latin1'), 'name: crème\n')
+		Equal(fs.readFileSync(file).length, 12)
+	})
+})
+
+section('async save', function(){
+
+	const fs = require('fs')
+	const temps = () => fs.readdirSync('.').filter(name => name.endsWith('.tmp'))
+
+	testAsync('keeps file mode', async function(){
+		fs.writeFileSync(file, 'port: 80\n')
+		fs.chmodSync(file, 0o640)
+
+		Comf = new Comfig.Comfig(file, {backup: 2})
+		Comf.set('port', 81)
+		Equal(await Comf.save(), undefined)
+
+		Equal(fs.readFileSync(file, 'utf8'), 'port: 81\n')
+		Equal(fs.statSync(file).mode & 0o777, 0o640)
+		Equal(temps().length, 0)
+	})
+
+	testAsync('backups', async function(){
+		for(const port of [90, 91]){
+			Comf.set('port', port)
+			await Comf.save()
+		}
+
+		Equal(fs.readFileSync(file, 'utf8'), 'port: 91\n')
+		Equal(fs.readFileSync(file + '.1', 'utf8'), 'port: 90\n')
+		Equal(fs.readFileSync(file + '.2', 'utf8'), 'port: 81\n')
+		Equal(fs.existsSync(file + '.3'), false)
+
+		fs.unlinkSync(file + '.1')
+		fs.unlinkSync(file + '.2')
+	})
+
+	testAsync('symlink is followed', async function(){
+		const real = './~real.config'
+		const link = './~link.config'
+		fs.writeFileSync(real, 'port: 80\n')
+		fs.symlinkSync(real.slice(2), link)
+
+		const comfig = new Comfig.Comfig(link)
+		comfig.set('port', 81)
+		await comfig.save()
+
+		Equal(fs.lstatSync(link).isSymbolicLink(), true)
+		Equal(fs.readFileSync(real, 'utf8'), 'port: 81\n')
+
+		fs.unlinkSync(link)
+		fs.unlinkSync(real)
+	})
+
+	testAsync('failed save removes temp file', async function(){
+		const dir = './~savedir'
+		fs.mkdirSync(dir, {recursive:true})
+
+		Comf = new Comfig.Comfig(file)
+		await assert.rejects(Comf.save(dir))
+		Equal(temps().length, 0)
+		Equal(fs.readFileSync(file, 'utf8'), 'port: 91\n')
+
+		fs.rmdirSync(dir)
+	})
+})
+
+//
+// 	The End
+//
+
+async function finish(){
+	for(const {title, fn, indent} of awaited){
+		tests += 1
+		console.log(`${' '.repeat(indent)}${tests}) \x1b[2m${title}\x1b[0m`)
+		await fn()
+	}
+
+	console.log(`\n\x1b[7;92m ✔ All tests passed \x1b[0m`)
+	console.log(`Runtime: ${Date.now() - start}ms`)
+}
 
-console.log(`\n\x1b[7;92m ✔ All tests passed \x1b[0m`)
-console.log(`Runtime: ${Date.now() - start}ms`)
\ No newline at end of file
+finish().catch(err => {
+	console.error(err)
+	process.exit(1)
+})
\ No newline at end of file